@@ -1,9 +1,11 @@
 const { protect, authorize } = require('./auth');
 const { errorHandler, ErrorResponse } = require('./error');
+const { uploadAttachments } = require('./upload');
 
 module.exports = {
   protect,
   authorize,
   errorHandler,
-  ErrorResponse
+  ErrorResponse,
+  uploadAttachments
 }; 
\ No newline at end of file
@@ -0,0 +1,33 @@
+const multer = require('multer');
+const { ErrorResponse } = require('./error');
+
+// Photos and documents accepted as attachments
+const ATTACHMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB per file
+const MAX_ATTACHMENTS_PER_UPLOAD = 10;
+
+// Files are kept in memory until they have been checked and written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: MAX_ATTACHMENTS_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse(`${file.originalname}: only JPEG, PNG, WebP images and PDF documents are allowed`, 415), false);
+    }
+  }
+});
+
+// Multipart attachments sent in the "files" field
+const uploadAttachments = upload.array('files', MAX_ATTACHMENTS_PER_UPLOAD);
+
+module.exports = {
+  ATTACHMENT_MIME_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  uploadAttachments
+};
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const appointmentSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required']
+  },
+  serviceTypes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceType'
+  }],
+  scheduledStart: {
+    type: Date,
+    required: [true, 'Appointment start time is required']
+  },
+  scheduledEnd: {
+    type: Date,
+    required: [true, 'Appointment end time is required']
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'checked_in', 'cancelled', 'no_show'],
+    default: 'booked'
+  },
+  // Contact details for this booking (defaults to the vehicle owner)
+  contact: {
+    name: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rescheduleHistory: [{
+    from: Date,
+    to: Date,
+    reason: String,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancellation: {
+    reason: String,
+    date: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  checkIn: {
+    date: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Service opened when the vehicle was checked in
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+appointmentSchema.index({ branch: 1, scheduledStart: 1, status: 1 });
+appointmentSchema.index({ vehicle: 1, scheduledStart: -1 });
+
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
+module.exports = Appointment;
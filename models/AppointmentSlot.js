@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Number of active appointments overlapping one branch slot. Bookings claim a place
+// with a conditional $inc, so concurrent requests cannot overfill a slot. Slots are
+// keyed by start and end, so changing the appointment length starts new counters.
+const appointmentSlotSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  start: {
+    type: Date,
+    required: [true, 'Slot start time is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'Slot end time is required']
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per branch slot (MigrationService drops the old branch and start index)
+appointmentSlotSchema.index({ branch: 1, start: 1, end: 1 }, { unique: true });
+
+const AppointmentSlot = mongoose.model('AppointmentSlot', appointmentSlotSchema);
+
+module.exports = AppointmentSlot;
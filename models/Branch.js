@@ -29,6 +29,12 @@ const branchSchema = new mongoose.Schema({
       trim: true
     }
   },
+  // Prefix for this branch's invoice numbers, e.g. "DXB" gives DXB-000001
+  invoicePrefix: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   phone: {
     type: String,
     required: [true, 'Phone number is required'],
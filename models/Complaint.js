@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const attachmentSchema = require('./attachmentSchema');
 
 const complaintSchema = new mongoose.Schema({
   title: {
@@ -68,13 +69,13 @@ const complaintSchema = new mongoose.Schema({
   timeline: [{
     status: {
       type: String,
-      enum: ['open', 'in_progress', 'resolved', 'closed'],
+      enum: ['open', 'in_progress', 'resolved', 'closed', 'escalated'],
       required: true
     },
+    // Empty for automatic changes (e.g. escalation on an SLA breach)
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+      ref: 'User'
     },
     comment: String,
     date: {
@@ -82,21 +83,21 @@ const complaintSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  attachments: [{
-    filename: String,
-    path: String,
-    uploadedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    uploadDate: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  attachments: [attachmentSchema],
+  // Resolution deadline, from the SLA policy when one applies
   dueDate: {
     type: Date
   },
+  sla: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy'
+    },
+    responseDueDate: Date,
+    // First time the complaint was assigned or moved on from open
+    respondedAt: Date,
+    resolvedAt: Date
+  },
   escalated: {
     status: {
       type: Boolean,
@@ -107,12 +108,42 @@ const complaintSchema = new mongoose.Schema({
     escalatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    escalatedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Escalated by the SLA check rather than by a person
+    automatic: {
+      type: Boolean,
+      default: false
     }
   }
 }, {
   timestamps: true
 });
 
+// SLA progress for a complaint state: the first response is the first assignment or
+// move away from open; resolution is cleared again if the complaint is reopened
+complaintSchema.statics.trackSla = function(sla = {}, state = {}, now = new Date()) {
+  const tracked = {
+    respondedAt: sla.respondedAt,
+    resolvedAt: sla.resolvedAt
+  };
+
+  if (!tracked.respondedAt && ((state.status && state.status !== 'open') || state.assignedTo)) {
+    tracked.respondedAt = now;
+  }
+
+  if (['resolved', 'closed'].includes(state.status)) {
+    tracked.resolvedAt = tracked.resolvedAt || now;
+  } else {
+    tracked.resolvedAt = undefined;
+  }
+
+  return tracked;
+};
+
 // Add status change to timeline
 complaintSchema.pre('save', function(next) {
   if (this.isModified('status')) {
@@ -122,6 +153,10 @@ complaintSchema.pre('save', function(next) {
       date: new Date()
     });
   }
+
+  const tracked = this.constructor.trackSla(this.sla, this);
+  this.sla.respondedAt = tracked.respondedAt;
+  this.sla.resolvedAt = tracked.resolvedAt;
   next();
 });
 
@@ -129,6 +164,7 @@ complaintSchema.pre('save', function(next) {
 complaintSchema.index({ status: 1, branch: 1 });
 complaintSchema.index({ filedBy: 1, createdAt: -1 });
 complaintSchema.index({ priority: 1, status: 1 });
+complaintSchema.index({ status: 1, 'escalated.status': 1, dueDate: 1 });
 
 const Complaint = mongoose.model('Complaint', complaintSchema);
 
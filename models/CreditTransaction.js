@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Ledger of technician credit points. Entries are never edited or deleted; a
+// reversal is a new entry with negative points, and user totals are summed from here.
+const creditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['award', 'reversal'],
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service is required']
+  },
+  serviceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Service item is required']
+  },
+  serviceType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceType',
+    required: [true, 'Service type is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+creditTransactionSchema.index({ service: 1, serviceItem: 1, user: 1 });
+
+// Points a user currently holds for one service item (awards minus reversals)
+creditTransactionSchema.statics.getNetPoints = async function(userId, serviceId, serviceItemId) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId.toString()),
+        service: new mongoose.Types.ObjectId(serviceId.toString()),
+        serviceItem: new mongoose.Types.ObjectId(serviceItemId.toString())
+      }
+    },
+    { $group: { _id: null, points: { $sum: '$points' } } }
+  ]);
+
+  return result ? result.points : 0;
+};
+
+// Write award entries for credits assigned on services before the ledger existed.
+// Items that already have ledger entries for a technician are left alone.
+creditTransactionSchema.statics.backfillFromServices = async function(userId, actionBy) {
+  const Service = mongoose.model('Service');
+  const serviceQuery = { 'serviceItems.technicians.creditsAssigned': true };
+  const ledgerQuery = {};
+
+  if (userId) {
+    serviceQuery['serviceItems.technicians.technician'] = userId;
+    ledgerQuery.user = new mongoose.Types.ObjectId(userId.toString());
+  }
+
+  const recorded = await this.aggregate([
+    { $match: ledgerQuery },
+    { $group: { _id: { user: '$user', service: '$service', serviceItem: '$serviceItem' } } }
+  ]);
+  const recordedKeys = new Set(recorded.map(entry =>
+    `${entry._id.user}:${entry._id.service}:${entry._id.serviceItem}`
+  ));
+
+  const services = await Service.find(serviceQuery)
+    .select('branch completionDate serviceItems._id serviceItems.serviceType serviceItems.technicians');
+
+  const entries = [];
+  for (const service of services) {
+    for (const item of service.serviceItems) {
+      for (const techInfo of item.technicians) {
+        if (!techInfo.creditsAssigned || !techInfo.creditPoints) continue;
+        if (userId && techInfo.technician.toString() !== userId.toString()) continue;
+        if (recordedKeys.has(`${techInfo.technician}:${service._id}:${item._id}`)) continue;
+
+        entries.push({
+          user: techInfo.technician,
+          type: 'award',
+          points: techInfo.creditPoints,
+          service: service._id,
+          serviceItem: item._id,
+          serviceType: item.serviceType,
+          branch: service.branch,
+          reason: 'Backfilled from service history',
+          createdBy: actionBy
+        });
+      }
+    }
+  }
+
+  if (entries.length > 0) {
+    await this.insertMany(entries);
+  }
+
+  return entries.length;
+};
+
+const CreditTransaction = mongoose.model('CreditTransaction', creditTransactionSchema);
+
+module.exports = CreditTransaction;
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: [true, 'Customer phone number is required'],
+    trim: true
+  },
+  // Other numbers seen for this customer (e.g. merged from duplicate vehicle owners)
+  alternatePhones: [{
+    type: String,
+    trim: true
+  }],
+  email: {
+    type: String,
+    required: [true, 'Customer email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  addresses: [{
+    label: {
+      type: String,
+      trim: true,
+      default: 'home'
+    },
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    isDefault: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  communicationPreferences: {
+    preferredChannel: {
+      type: String,
+      enum: ['phone', 'sms', 'email'],
+      default: 'phone'
+    },
+    serviceReminders: {
+      type: Boolean,
+      default: true
+    },
+    marketing: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Branch where the customer was first registered
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: [{
+    content: {
+      type: String,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual populate for the customer's vehicles
+customerSchema.virtual('vehicles', {
+  ref: 'Vehicle',
+  localField: '_id',
+  foreignField: 'customer'
+});
+
+// Default address, or the first one
+customerSchema.methods.getDefaultAddress = function() {
+  return this.addresses.find(address => address.isDefault) || this.addresses[0];
+};
+
+// Index for faster lookup and duplicate checks
+customerSchema.index({ email: 1 });
+customerSchema.index({ phone: 1 });
+customerSchema.index({ name: 1 });
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+module.exports = Customer;
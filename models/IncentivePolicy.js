@@ -1,11 +1,22 @@
 const mongoose = require('mongoose');
+const { validateFormula, evaluateFormula } = require('../utils/formulaEngine');
+const { ErrorResponse } = require('../middleware/error');
+
+// Rule fields are frozen once a version is saved; changing them creates a new version
+const VERSIONED_FIELDS = [
+  'formulaDefinition',
+  'variables',
+  'applicableCategories',
+  'serviceTypeMultipliers',
+  'thresholds',
+  'effectiveFrom'
+];
 
 const incentivePolicySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Policy name is required'],
-    trim: true,
-    unique: true
+    trim: true
   },
   description: {
     type: String,
@@ -82,13 +93,38 @@ const incentivePolicySchema = new mongoose.Schema({
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Versioning: every version of a policy shares the same policyKey
+  policyKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  previousVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncentivePolicy'
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncentivePolicy'
+  },
+  changeReason: {
+    type: String,
+    trim: true
   }
 }, {
   timestamps: true
 });
 
 // Index for faster queries
+// Names are unique per version (MigrationService drops the old unique name index on start)
 incentivePolicySchema.index({ name: 1 });
+incentivePolicySchema.index({ name: 1, version: 1 }, { unique: true });
+incentivePolicySchema.index({ policyKey: 1, version: 1 }, { unique: true });
 incentivePolicySchema.index({ active: 1, effectiveFrom: 1, effectiveTo: 1 });
 incentivePolicySchema.index({ 'applicableCategories': 1 });
 
@@ -99,36 +135,120 @@ incentivePolicySchema.methods.isApplicableTo = function(categoryId) {
   );
 };
 
+// Reject formulas that do not parse or reference unknown variables
+incentivePolicySchema.pre('validate', function(next) {
+  if (!this.formulaDefinition) return next();
+
+  const result = validateFormula(
+    this.formulaDefinition,
+    this.variables.map(variable => variable.name)
+  );
+
+  if (!result.valid) {
+    this.invalidate('formulaDefinition', `Invalid formula: ${result.errors.join('; ')}`);
+  }
+  next();
+});
+
+// First version of a policy starts its own version chain
+incentivePolicySchema.pre('validate', function(next) {
+  if (!this.policyKey) {
+    this.policyKey = this._id;
+  }
+  next();
+});
+
+// Saved versions are immutable
+incentivePolicySchema.pre('save', function(next) {
+  if (this.isNew) return next();
+
+  const changed = VERSIONED_FIELDS.filter(field => this.isModified(field));
+  if (changed.length > 0) {
+    return next(new ErrorResponse(
+      `Incentive policy versions are immutable (${changed.join(', ')}); create a new version instead`,
+      400
+    ));
+  }
+  next();
+});
+
+incentivePolicySchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys(update).reduce((keys, key) => (
+    key.startsWith('$') ? keys.concat(Object.keys(update[key] || {})) : keys.concat(key)
+  ), []);
+
+  const changed = fields.filter(field => VERSIONED_FIELDS.includes(field.split('.')[0]));
+  if (changed.length > 0) {
+    return next(new ErrorResponse(
+      `Incentive policy versions are immutable (${changed.join(', ')}); create a new version instead`,
+      400
+    ));
+  }
+  next();
+});
+
+// Method to create the next version of this policy with the given changes.
+// The current version stops applying the moment the new one takes effect.
+incentivePolicySchema.methods.createVersion = async function(changes, userId) {
+  if (this.supersededBy) {
+    throw new ErrorResponse('Only the latest version of a policy can be edited', 400);
+  }
+
+  const effectiveFrom = changes.effectiveFrom ? new Date(changes.effectiveFrom) : new Date();
+  if (effectiveFrom <= this.effectiveFrom) {
+    throw new ErrorResponse('A new version must take effect after the current version', 400);
+  }
+
+  const base = this.toObject({ depopulate: true });
+  [
+    '_id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy',
+    'supersededBy', 'previousVersion', 'changeReason'
+  ].forEach(field => delete base[field]);
+
+  const { version, policyKey, previousVersion, supersededBy, ...allowedChanges } = changes;
+
+  // Policies created before versioning start their chain here
+  if (!this.policyKey) {
+    this.policyKey = this._id;
+  }
+
+  const IncentivePolicy = this.constructor;
+  const nextVersion = new IncentivePolicy({
+    ...base,
+    ...allowedChanges,
+    effectiveFrom,
+    effectiveTo: changes.effectiveTo,
+    policyKey: this.policyKey,
+    version: this.version + 1,
+    previousVersion: this._id,
+    createdBy: userId
+  });
+  await nextVersion.save();
+
+  this.supersededBy = nextVersion._id;
+  if (!this.effectiveTo || this.effectiveTo >= effectiveFrom) {
+    this.effectiveTo = new Date(effectiveFrom.getTime() - 1);
+  }
+  this.updatedBy = userId;
+  await this.save();
+
+  return nextVersion;
+};
+
+// Method to build the evaluation scope: policy variable defaults overridden by supplied values
+incentivePolicySchema.methods.buildScope = function(values = {}) {
+  const scope = {};
+  this.variables.forEach(variable => {
+    scope[variable.name] = variable.defaultValue;
+  });
+  return { ...scope, ...values };
+};
+
 // Method to evaluate the formula with provided values
 incentivePolicySchema.methods.calculateIncentive = function(values) {
   try {
-    // This is a simplified version - in production you'd use a formula parser library
-    // or a safer evaluation method
-    const formula = this.formulaDefinition;
-    
-    // Replace variables with their values
-    let calculationFormula = formula;
-    for (const [key, value] of Object.entries(values)) {
-      calculationFormula = calculationFormula.replace(
-        new RegExp(key, 'g'), 
-        value
-      );
-    }
-    
-    // Provide default values for variables not supplied
-    this.variables.forEach(variable => {
-      if (!calculationFormula.includes(variable.name)) {
-        calculationFormula = calculationFormula.replace(
-          new RegExp(variable.name, 'g'), 
-          variable.defaultValue
-        );
-      }
-    });
-    
-    // Safely evaluate the formula
-    // In production, use a formula parser library instead of eval
-    // This is just for demonstration
-    return Function('"use strict";return (' + calculationFormula + ')')();
+    return evaluateFormula(this.formulaDefinition, this.buildScope(values));
   } catch (error) {
     console.error('Error calculating incentive:', error);
     return 0;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Results recorded against a checklist template for one service
+const inspectionSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service is required']
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InspectionTemplate',
+    required: [true, 'Inspection template is required']
+  },
+  // Copied from the template so later template edits do not change past reports
+  name: {
+    type: String,
+    required: true
+  },
+  items: [{
+    templateItem: mongoose.Schema.Types.ObjectId,
+    label: {
+      type: String,
+      required: true
+    },
+    section: String,
+    kind: {
+      type: String,
+      enum: ['check', 'measurement'],
+      default: 'check'
+    },
+    unit: String,
+    thresholds: {
+      failBelow: Number,
+      advisoryBelow: Number,
+      advisoryAbove: Number,
+      failAbove: Number
+    },
+    recommendedServiceType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceType'
+    },
+    recommendation: String,
+    result: {
+      type: String,
+      enum: ['pending', 'pass', 'advisory', 'fail'],
+      default: 'pending'
+    },
+    measurement: Number,
+    notes: String,
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkedAt: Date,
+    // Work raised for a failed or advisory item
+    followUp: {
+      serviceItem: mongoose.Schema.Types.ObjectId,
+      quote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quote'
+      }
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Count of items per result
+inspectionSchema.virtual('summary').get(function() {
+  const summary = { pending: 0, pass: 0, advisory: 0, fail: 0 };
+  (this.items || []).forEach(item => {
+    summary[item.result] += 1;
+  });
+  return summary;
+});
+
+// Index for faster queries
+inspectionSchema.index({ service: 1 });
+inspectionSchema.index({ vehicle: 1, createdAt: -1 });
+inspectionSchema.index({ branch: 1, status: 1 });
+
+const Inspection = mongoose.model('Inspection', inspectionSchema);
+
+module.exports = Inspection;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const inspectionTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Inspection service type the checklist is normally used with
+  serviceType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceType'
+  },
+  items: [{
+    label: {
+      type: String,
+      required: [true, 'Checklist item label is required'],
+      trim: true
+    },
+    // Grouping on the report, e.g. Tyres, Brakes, Lights
+    section: {
+      type: String,
+      trim: true
+    },
+    // A check is marked pass/advisory/fail; a measurement records a value
+    kind: {
+      type: String,
+      enum: ['check', 'measurement'],
+      default: 'check'
+    },
+    unit: {
+      type: String,
+      trim: true
+    },
+    // Measurements outside these limits are graded automatically,
+    // e.g. tyre tread depth: failBelow 1.6, advisoryBelow 3 (mm)
+    thresholds: {
+      failBelow: Number,
+      advisoryBelow: Number,
+      advisoryAbove: Number,
+      failAbove: Number
+    },
+    // Work to recommend when the item fails or needs attention
+    recommendedServiceType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceType'
+    },
+    recommendation: {
+      type: String,
+      trim: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A checklist needs items, and measurement limits must be in order
+inspectionTemplateSchema.pre('validate', function(next) {
+  if (this.items.length === 0) {
+    this.invalidate('items', 'Add at least one checklist item');
+  }
+
+  this.items.forEach((item, index) => {
+    const limits = item.thresholds || {};
+    const below = [limits.failBelow, limits.advisoryBelow];
+    const above = [limits.advisoryAbove, limits.failAbove];
+
+    if (item.kind === 'check' && [...below, ...above].some(value => value !== undefined && value !== null)) {
+      this.invalidate(`items.${index}.thresholds`, 'Only measurement items can have thresholds');
+    }
+
+    if (below.every(value => value !== undefined && value !== null) && limits.failBelow > limits.advisoryBelow) {
+      this.invalidate(`items.${index}.thresholds`, 'failBelow cannot be higher than advisoryBelow');
+    }
+
+    if (above.every(value => value !== undefined && value !== null) && limits.advisoryAbove > limits.failAbove) {
+      this.invalidate(`items.${index}.thresholds`, 'advisoryAbove cannot be higher than failAbove');
+    }
+  });
+
+  next();
+});
+
+// Index for faster lookup
+inspectionTemplateSchema.index({ isActive: 1, name: 1 });
+
+const InspectionTemplate = mongoose.model('InspectionTemplate', inspectionTemplateSchema);
+
+module.exports = InspectionTemplate;
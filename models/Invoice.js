@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+const addressSchema = {
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String,
+  country: String
+};
+
+const invoiceSchema = new mongoose.Schema({
+  // Gapless per-branch sequence; invoiceNumber is the formatted legal number
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service is required']
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required']
+  },
+  // Snapshots: an issued invoice must not change when master data changes
+  company: {
+    name: String,
+    email: String,
+    phone: String,
+    address: addressSchema,
+    website: String,
+    taxId: String
+  },
+  customer: {
+    name: String,
+    phone: String,
+    email: String,
+    address: addressSchema
+  },
+  vehicleDetails: {
+    registrationNumber: String,
+    make: String,
+    model: String,
+    year: Number,
+    mileage: Number
+  },
+  lineItems: [{
+    type: {
+      type: String,
+      enum: ['labor', 'part', 'other'],
+      required: true
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    serviceItem: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  }],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: {
+      type: String,
+      enum: ['amount', 'percent'],
+      default: 'amount'
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    reason: String
+  },
+  tax: {
+    name: {
+      type: String,
+      default: 'Tax'
+    },
+    rate: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  voidDetails: {
+    date: Date,
+    reason: String,
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  terms: String,
+  footer: String,
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Sequence numbers are unique per branch, which keeps concurrent issuing gapless
+invoiceSchema.index({ branch: 1, sequence: 1 }, { unique: true });
+// Branches without a prefix share the default one, so numbers are only unique per branch
+// (existing databases need syncIndexes() to drop the old unique invoiceNumber index)
+invoiceSchema.index({ branch: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ service: 1, status: 1 });
+// A service has at most one issued invoice, even when two are issued at once
+invoiceSchema.index(
+  { service: 1 },
+  { unique: true, partialFilterExpression: { status: 'issued' } }
+);
+invoiceSchema.index({ issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const maintenancePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true
+  },
+  // Vehicles the plan applies to; empty fields match any vehicle. The most specific
+  // active plan wins (make + model, then make, then type, then a catch-all plan).
+  appliesTo: {
+    make: {
+      type: String,
+      trim: true
+    },
+    model: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['sedan', 'suv', 'hatchback', 'truck', 'van', 'motorcycle', 'other']
+    }
+  },
+  // Each service type is due every N km or M months, whichever comes first
+  intervals: [{
+    serviceType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceType',
+      required: [true, 'Service type is required']
+    },
+    everyKm: {
+      type: Number,
+      min: 1
+    },
+    everyMonths: {
+      type: Number,
+      min: 1
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Every interval needs a distance or a time limit
+maintenancePlanSchema.pre('validate', function(next) {
+  this.intervals.forEach((interval, index) => {
+    if (!interval.everyKm && !interval.everyMonths) {
+      this.invalidate(`intervals.${index}`, 'Set everyKm, everyMonths or both');
+    }
+  });
+  next();
+});
+
+// Index for faster lookup
+maintenancePlanSchema.index({ isActive: 1, 'appliesTo.make': 1, 'appliesTo.model': 1 });
+
+const MaintenancePlan = mongoose.model('MaintenancePlan', maintenancePlanSchema);
+
+module.exports = MaintenancePlan;
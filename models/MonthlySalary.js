@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { ErrorResponse } = require('../middleware/error');
+
+// Fields that may still change once a record is locked (payment bookkeeping only)
+const LOCKED_EDITABLE_FIELDS = [
+  'paymentStatus',
+  'paymentDate',
+  'paymentMethod',
+  'paymentReference',
+  'updatedBy',
+  'updatedAt'
+];
 
 const monthlySalarySchema = new mongoose.Schema({
   staff: {
@@ -52,6 +63,23 @@ const monthlySalarySchema = new mongoose.Schema({
         type: Number,
         default: 0
       }
+    }],
+    // Share of each completed service item credited to the staff member
+    creditSplits: [{
+      service: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+      },
+      serviceItem: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      serviceType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceType'
+      },
+      technicianCount: Number,
+      contributionShare: Number,
+      creditPoints: Number
     }]
   },
   incentiveBreakdown: {
@@ -100,11 +128,25 @@ const monthlySalarySchema = new mongoose.Schema({
   },
   paymentReference: String,
   notes: String,
+  // Payroll run workflow state; locked records reject everything but payment updates
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'locked'],
+    default: 'draft'
+  },
+  payrollRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRun'
+  },
   incentivePolicy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'IncentivePolicy',
     required: true
   },
+  // Version of the policy used, pinned for audits (incentivePolicy references that exact version)
+  incentivePolicyVersion: {
+    type: Number
+  },
   calculationDetails: {
     formula: String,
     variableValues: mongoose.Schema.Types.Mixed
@@ -126,6 +168,7 @@ const monthlySalarySchema = new mongoose.Schema({
 monthlySalarySchema.index({ staff: 1, month: 1, year: 1 }, { unique: true });
 monthlySalarySchema.index({ month: 1, year: 1 });
 monthlySalarySchema.index({ paymentStatus: 1 });
+monthlySalarySchema.index({ payrollRun: 1 });
 
 // Virtual for month name
 monthlySalarySchema.virtual('monthName').get(function() {
@@ -136,6 +179,39 @@ monthlySalarySchema.virtual('monthName').get(function() {
   return months[this.month - 1];
 });
 
+// Remember whether the record was locked when it was loaded
+monthlySalarySchema.post('init', function() {
+  this.$locals.wasLocked = this.status === 'locked';
+});
+
+// Reject edits to locked records
+monthlySalarySchema.pre('save', function(next) {
+  if (this.isNew || !this.$locals.wasLocked) return next();
+
+  const forbidden = this.modifiedPaths({ includeChildren: false })
+    .filter(path => !LOCKED_EDITABLE_FIELDS.includes(path));
+
+  if (forbidden.length > 0) {
+    return next(new ErrorResponse('Monthly salary record is locked and cannot be edited', 400));
+  }
+  next();
+});
+
+// Reject query updates that touch locked records
+monthlySalarySchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys(update).reduce((keys, key) => (
+    key.startsWith('$') ? keys.concat(Object.keys(update[key] || {})) : keys.concat(key)
+  ), []);
+
+  if (fields.every(field => LOCKED_EDITABLE_FIELDS.includes(field))) return;
+
+  const locked = await this.model.exists({ ...this.getFilter(), status: 'locked' });
+  if (locked) {
+    throw new ErrorResponse('Monthly salary record is locked and cannot be edited', 400);
+  }
+});
+
 // Pre-save hook to calculate gross salary
 monthlySalarySchema.pre('save', function(next) {
   // Calculate total incentive
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const partSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Part name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: 'piece'
+  },
+  costPrice: {
+    type: Number,
+    required: [true, 'Cost price is required'],
+    min: 0
+  },
+  sellPrice: {
+    type: Number,
+    required: [true, 'Sell price is required'],
+    min: 0
+  },
+  // Default warranty on the part once fitted, counted from completion
+  warrantyDays: {
+    type: Number,
+    min: 0
+  },
+  // When set, sellPrice is calculated from costPrice
+  markupPercentage: {
+    type: Number,
+    min: 0
+  },
+  supplier: {
+    name: {
+      type: String,
+      trim: true
+    },
+    contactPerson: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  // Default reorder level for branches that do not set their own
+  reorderLevel: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the sell price in line with the markup
+partSchema.pre('validate', function(next) {
+  if (this.markupPercentage !== undefined && this.markupPercentage !== null && this.costPrice !== undefined) {
+    this.sellPrice = Math.round(this.costPrice * (1 + this.markupPercentage / 100) * 100) / 100;
+  }
+  next();
+});
+
+// Index for faster lookup
+partSchema.index({ name: 1 });
+partSchema.index({ isActive: 1 });
+
+const Part = mongoose.model('Part', partSchema);
+
+module.exports = Part;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const partStockSchema = new mongoose.Schema({
+  part: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Part',
+    required: [true, 'Part is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  // Physically on the shelf, including units reserved for open service items
+  quantityOnHand: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Held for service items that have not completed yet
+  quantityReserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reorderLevel: {
+    type: Number,
+    min: 0
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  lastRestocked: {
+    type: Date
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One stock level per part per branch
+partStockSchema.index({ part: 1, branch: 1 }, { unique: true });
+partStockSchema.index({ branch: 1 });
+
+// Virtual for stock that can still be reserved
+partStockSchema.virtual('quantityAvailable').get(function() {
+  return this.quantityOnHand - this.quantityReserved;
+});
+
+const PartStock = mongoose.model('PartStock', partStockSchema);
+
+module.exports = PartStock;
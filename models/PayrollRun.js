@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const payrollRunSchema = new mongoose.Schema({
+  month: {
+    type: Number,
+    required: [true, 'Month is required'],
+    min: 1,
+    max: 12
+  },
+  year: {
+    type: Number,
+    required: [true, 'Year is required']
+  },
+  // A run is scoped to a staff category, a branch, or both
+  staffCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffCategory'
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Optional policy override, otherwise each staff member's applicable policy is used
+  incentivePolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncentivePolicy'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'locked'],
+    default: 'draft'
+  },
+  salaries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonthlySalary'
+  }],
+  failures: [{
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  }],
+  summary: {
+    staffCount: {
+      type: Number,
+      default: 0
+    },
+    totalBaseSalary: {
+      type: Number,
+      default: 0
+    },
+    totalIncentive: {
+      type: Number,
+      default: 0
+    },
+    totalGrossSalary: {
+      type: Number,
+      default: 0
+    }
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lockedAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One run per month/year/scope combination
+payrollRunSchema.index({ month: 1, year: 1, staffCategory: 1, branch: 1 }, { unique: true });
+payrollRunSchema.index({ status: 1 });
+
+// A run must have at least one scope
+payrollRunSchema.pre('validate', function(next) {
+  if (!this.staffCategory && !this.branch) {
+    this.invalidate('staffCategory', 'A payroll run needs a staff category or a branch');
+  }
+  next();
+});
+
+// Virtual for month name
+payrollRunSchema.virtual('monthName').get(function() {
+  const months = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+  ];
+  return months[this.month - 1];
+});
+
+const PayrollRun = mongoose.model('PayrollRun', payrollRunSchema);
+
+module.exports = PayrollRun;
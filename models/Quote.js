@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const quoteSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required']
+  },
+  // Proposed work, priced by the pricing engine when the quote is saved
+  serviceItems: [{
+    serviceType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceType',
+      required: [true, 'Service type is required']
+    },
+    description: {
+      type: String,
+      required: [true, 'Service description is required'],
+      trim: true
+    },
+    laborHours: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    laborCost: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    laborRate: {
+      type: Number,
+      min: 0
+    },
+    laborCostOverridden: {
+      type: Boolean,
+      default: false
+    },
+    pricing: {
+      basePrice: Number,
+      minimumLaborHours: Number,
+      vehicleType: String,
+      surchargePercentage: Number,
+      override: {
+        laborCost: Number,
+        calculatedLaborCost: Number,
+        reason: String,
+        overriddenBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        date: Date
+      }
+    },
+    parts: [{
+      part: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Part'
+      },
+      name: {
+        type: String,
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      unitCost: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      totalCost: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }],
+    totalCost: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  totalCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Validity date is required']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'declined', 'expired'],
+    default: 'draft'
+  },
+  sentAt: {
+    type: Date
+  },
+  // Customer approval, required before the quote can be turned into a service
+  approval: {
+    approvedBy: {
+      type: String,
+      trim: true
+    },
+    approvedAt: Date,
+    method: {
+      type: String,
+      enum: ['in_person', 'phone', 'email', 'sms', 'signature']
+    },
+    notes: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  decline: {
+    reason: String,
+    date: Date,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Service opened from the accepted quote
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  convertedAt: {
+    type: Date
+  },
+  // Inspection whose failed or advisory items the quote was raised for
+  inspection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+quoteSchema.index({ branch: 1, status: 1, createdAt: -1 });
+quoteSchema.index({ vehicle: 1, createdAt: -1 });
+
+// Item and quote totals always follow labor and parts
+quoteSchema.pre('save', function(next) {
+  const round2 = value => Math.round(value * 100) / 100;
+
+  this.serviceItems.forEach(item => {
+    const partsCost = item.parts.reduce((total, part) => total + part.totalCost, 0);
+    item.totalCost = round2(item.laborCost + partsCost);
+  });
+
+  this.totalCost = round2(this.serviceItems.reduce((total, item) => total + item.totalCost, 0));
+  next();
+});
+
+// Draft or sent quotes past their validity date can no longer be accepted
+quoteSchema.methods.isExpired = function(now = new Date()) {
+  return ['draft', 'sent'].includes(this.status) && this.validUntil < now;
+};
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+module.exports = Quote;
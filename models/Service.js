@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const attachmentSchema = require('./attachmentSchema');
 
 const serviceSchema = new mongoose.Schema({
   vehicle: {
@@ -30,19 +31,82 @@ const serviceSchema = new mongoose.Schema({
       creditsAssigned: {
         type: Boolean,
         default: false
+      },
+      // Percentage of the item's credit points; set for every technician or for none
+      contributionShare: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      // Used to split credits when no contribution shares are set
+      hoursWorked: {
+        type: Number,
+        min: 0
       }
     }],
+    // Derived from workSessions once a technician has clocked on
     laborHours: {
       type: Number,
       required: true,
       min: 0
     },
+    // Derived as laborHours x laborRate unless laborCostOverridden
     laborCost: {
       type: Number,
       required: true,
       min: 0
     },
+    laborRate: {
+      type: Number,
+      min: 0
+    },
+    laborCostOverridden: {
+      type: Boolean,
+      default: false
+    },
+    // Price inputs captured by the pricing engine when the item was priced
+    pricing: {
+      basePrice: Number,
+      minimumLaborHours: Number,
+      vehicleType: String,
+      surchargePercentage: Number,
+      override: {
+        laborCost: Number,
+        calculatedLaborCost: Number,
+        reason: String,
+        overriddenBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        date: Date
+      }
+    },
+    // Technician time clock; a session without clockOut is still running
+    workSessions: [{
+      technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      clockIn: {
+        type: Date,
+        required: true
+      },
+      clockOut: {
+        type: Date
+      },
+      hours: {
+        type: Number,
+        min: 0
+      },
+      notes: String
+    }],
     parts: [{
+      // Catalogue part; free-text parts without a reference are not stock-tracked
+      part: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Part'
+      },
       name: {
         type: String,
         required: true
@@ -61,19 +125,86 @@ const serviceSchema = new mongoose.Schema({
         type: Number,
         required: true,
         min: 0
-      }
+      },
+      stockStatus: {
+        type: String,
+        enum: ['untracked', 'reserved', 'consumed', 'released'],
+        default: 'untracked'
+      },
+      // Copied from the part catalogue when the item is completed
+      warrantyDays: Number,
+      warrantyExpiryDate: Date
     }],
+    // Copied from the service type when the item is completed
+    warranty: {
+      periodDays: Number,
+      terms: String,
+      transferable: Boolean,
+      expiryDate: Date,
+      // Set when a non-transferable warranty ended because the vehicle changed owner
+      endedByTransferOn: Date
+    },
+    // Changed only through the transition endpoints (see ServiceItemWorkflow)
     status: {
       type: String,
-      enum: ['pending', 'in_progress', 'completed', 'cancelled'],
+      enum: ['pending_approval', 'pending', 'in_progress', 'paused', 'completed', 'cancelled'],
       default: 'pending'
     },
+    // Extra work found on a job in progress waits for the customer's or a manager's decision
+    approval: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected']
+      },
+      estimatedCost: {
+        type: Number,
+        min: 0
+      },
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      requestedAt: Date,
+      decidedBy: {
+        type: String,
+        enum: ['customer', 'manager']
+      },
+      customerName: String,
+      method: {
+        type: String,
+        enum: ['in_person', 'phone', 'email', 'sms', 'signature']
+      },
+      reason: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      decidedAt: Date
+    },
     startTime: {
       type: Date
     },
     completionTime: {
       type: Date
-    }
+    },
+    statusHistory: [{
+      action: {
+        type: String,
+        enum: ['start', 'pause', 'complete', 'cancel', 'reopen', 'approve', 'reject'],
+        required: true
+      },
+      from: String,
+      to: String,
+      reason: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      date: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }],
   startDate: {
     type: Date,
@@ -106,7 +237,63 @@ const serviceSchema = new mongoose.Schema({
     enum: ['pending', 'partial', 'completed'],
     default: 'pending'
   },
+  // Rework under the warranty of an earlier service; not billed to the customer
+  isWarrantyClaim: {
+    type: Boolean,
+    default: false
+  },
+  warrantyClaim: {
+    originalService: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    },
+    originalServiceItem: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    reason: String,
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // What a warranty claim cost the workshop (its totalCost is always 0)
+  warrantyCost: {
+    type: Number,
+    min: 0
+  },
+  // Accepted quote the service was opened from
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  // Amount owed: the issued invoice total when there is one, otherwise totalCost
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoicedAmount: {
+    type: Number,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
   paymentDetails: [{
+    type: {
+      type: String,
+      enum: ['payment', 'refund'],
+      default: 'payment'
+    },
+    status: {
+      type: String,
+      enum: ['recorded', 'void'],
+      default: 'recorded'
+    },
     amount: {
       type: Number,
       required: true,
@@ -122,7 +309,24 @@ const serviceSchema = new mongoose.Schema({
       required: true,
       default: Date.now
     },
-    reference: String
+    reference: String,
+    // Payment a refund was issued against
+    refundOf: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    reason: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    voidDetails: {
+      date: Date,
+      reason: String,
+      voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
   }],
   branch: {
     type: mongoose.Schema.Types.ObjectId,
@@ -144,15 +348,48 @@ const serviceSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Photos of the work (e.g. before/after) and documents
+  attachments: [attachmentSchema],
   warranty: {
     warrantyPeriod: Number, // in days
     expiryDate: Date,
-    terms: String
+    terms: String,
+    // Whether the warranty stays with the vehicle when it is sold
+    transferable: {
+      type: Boolean,
+      default: true
+    },
+    // Set when a hand-entered, non-transferable warranty ended because the vehicle
+    // changed owner; item warranties record their own cut-off
+    endedByTransferOn: Date
   }
 }, {
   timestamps: true
 });
 
+// Contribution shares on a service item must cover every technician and add up to 100%
+serviceSchema.pre('validate', function(next) {
+  this.serviceItems.forEach((serviceItem, index) => {
+    const withShare = serviceItem.technicians.filter(tech =>
+      tech.contributionShare !== undefined && tech.contributionShare !== null
+    );
+
+    if (withShare.length === 0) return;
+
+    if (withShare.length !== serviceItem.technicians.length) {
+      this.invalidate(`serviceItems.${index}.technicians`, 'Set a contribution share for every technician or for none');
+      return;
+    }
+
+    const totalShare = withShare.reduce((total, tech) => total + tech.contributionShare, 0);
+    if (Math.abs(totalShare - 100) > 0.01) {
+      this.invalidate(`serviceItems.${index}.technicians`, `Contribution shares must add up to 100% (currently ${totalShare}%)`);
+    }
+  });
+
+  next();
+});
+
 // Pre-save hooks for calculations
 serviceSchema.pre('save', function(next) {
   // Calculate total parts cost for each service item
@@ -166,43 +403,138 @@ serviceSchema.pre('save', function(next) {
     });
   }
   
-  // Calculate total service cost
+  // Labor hours come from the time clock, labor cost from the rate unless overridden
+  this.serviceItems.forEach(serviceItem => {
+    if (serviceItem.workSessions && serviceItem.workSessions.length > 0) {
+      const clockedHours = serviceItem.workSessions.reduce((total, session) => total + (session.hours || 0), 0);
+      serviceItem.laborHours = Math.round(clockedHours * 100) / 100;
+    }
+
+    if (serviceItem.laborRate !== undefined && serviceItem.laborRate !== null && !serviceItem.laborCostOverridden) {
+      serviceItem.laborCost = this.constructor.calculateLaborCost(serviceItem);
+    }
+  });
+
+  // Calculate total service cost; extra work that is not approved is only an estimate
   let totalServiceCost = 0;
   if (this.serviceItems && this.serviceItems.length > 0) {
     this.serviceItems.forEach(serviceItem => {
       const partsCost = serviceItem.parts.reduce((total, part) => total + part.totalCost, 0);
       const serviceCost = partsCost + serviceItem.laborCost;
+
+      if (serviceItem.approval && ['pending', 'rejected'].includes(serviceItem.approval.status)) {
+        if (serviceItem.approval.status === 'pending') {
+          serviceItem.approval.estimatedCost = Math.round(serviceCost * 100) / 100;
+        }
+        return;
+      }
+
       totalServiceCost += serviceCost;
     });
   }
-  this.totalCost = totalServiceCost;
+  if (this.isWarrantyClaim) {
+    this.warrantyCost = Math.round(totalServiceCost * 100) / 100;
+    this.totalCost = 0;
+  } else {
+    this.totalCost = totalServiceCost;
+  }
+
+  // Payment status is always derived from the recorded payments
+  this.reconcilePayments();
   
   // Update overall service status based on individual service items
   if (this.serviceItems && this.serviceItems.length > 0) {
-    const allCompleted = this.serviceItems.every(service => service.status === 'completed');
     const allCancelled = this.serviceItems.every(service => service.status === 'cancelled');
-    const hasPending = this.serviceItems.some(service => service.status === 'pending');
-    const hasInProgress = this.serviceItems.some(service => service.status === 'in_progress');
+    // Cancelled items do not hold up completion of the rest of the job
+    const allFinished = this.serviceItems.every(service => ['completed', 'cancelled'].includes(service.status));
+    const hasPending = this.serviceItems.some(service => ['pending', 'pending_approval'].includes(service.status));
+    const hasStarted = this.serviceItems.some(service => ['in_progress', 'paused'].includes(service.status));
+    const hasCompleted = this.serviceItems.some(service => service.status === 'completed');
 
-    if (allCompleted) {
+    if (allCancelled) {
+      this.status = 'cancelled';
+    } else if (allFinished) {
       this.status = 'completed';
       if (!this.completionDate) {
         this.completionDate = new Date();
       }
-    } else if (allCancelled) {
-      this.status = 'cancelled';
-    } else if (hasInProgress) {
+    } else if (hasStarted || (hasPending && hasCompleted)) {
       this.status = 'in_progress';
     } else if (hasPending) {
       this.status = 'pending';
     }
+
+    // A reopened job is no longer complete
+    if (this.status !== 'completed') {
+      this.completionDate = undefined;
+    }
+
+    this.summarizeWarranty();
   }
   
   next();
 });
 
-// Method to assign credit points to technicians when service is completed
-serviceSchema.methods.assignCreditPoints = async function(serviceItemId, User) {
+// Method to recompute amountPaid, balanceDue and paymentStatus from paymentDetails
+serviceSchema.methods.reconcilePayments = function() {
+  const amountDue = this.invoicedAmount !== undefined && this.invoicedAmount !== null
+    ? this.invoicedAmount
+    : this.totalCost;
+
+  const amountPaid = this.paymentDetails
+    .filter(payment => payment.status !== 'void')
+    .reduce((total, payment) => (
+      payment.type === 'refund' ? total - payment.amount : total + payment.amount
+    ), 0);
+
+  this.amountPaid = Math.round(amountPaid * 100) / 100;
+  this.balanceDue = Math.round((amountDue - amountPaid) * 100) / 100;
+
+  // Nothing left to pay (including fully discounted services and warranty claims) is settled
+  if (this.balanceDue <= 0) {
+    this.paymentStatus = 'completed';
+  } else if (this.amountPaid > 0) {
+    this.paymentStatus = 'partial';
+  } else {
+    this.paymentStatus = 'pending';
+  }
+};
+
+// Method to roll the item and part warranties up into the service warranty
+serviceSchema.methods.summarizeWarranty = function() {
+  const covered = this.serviceItems.filter(item => item.status === 'completed');
+  const expiryDates = [];
+  let periodDays = 0;
+
+  covered.forEach(item => {
+    if (item.warranty && item.warranty.expiryDate) {
+      expiryDates.push(item.warranty.expiryDate);
+      periodDays = Math.max(periodDays, item.warranty.periodDays || 0);
+    }
+
+    item.parts.forEach(part => {
+      if (part.warrantyExpiryDate) {
+        expiryDates.push(part.warrantyExpiryDate);
+        periodDays = Math.max(periodDays, part.warrantyDays || 0);
+      }
+    });
+  });
+
+  // Warranties entered by hand on older services are left alone
+  if (expiryDates.length === 0) return;
+
+  this.warranty.warrantyPeriod = periodDays;
+  this.warranty.expiryDate = new Date(Math.max(...expiryDates.map(date => date.getTime())));
+  this.warranty.transferable = covered.every(item => !item.warranty || item.warranty.transferable !== false);
+  if (!this.warranty.terms) {
+    const withTerms = covered.find(item => item.warranty && item.warranty.terms);
+    this.warranty.terms = withTerms ? withTerms.warranty.terms : undefined;
+  }
+};
+
+// Method to assign credit points to technicians when service is completed.
+// Every award is written to the CreditTransaction ledger and the user totals re-summed.
+serviceSchema.methods.assignCreditPoints = async function(serviceItemId, User, actionBy) {
   const serviceItemIndex = this.serviceItems.findIndex(
     item => item._id.toString() === serviceItemId.toString()
   );
@@ -226,21 +558,36 @@ serviceSchema.methods.assignCreditPoints = async function(serviceItemId, User) {
     return false;
   }
   
-  // Divide credit points among technicians
-  const techniciansCount = serviceItem.technicians.length;
-  const pointsPerTechnician = serviceType.creditPoints / techniciansCount;
-  
+  // Divide credit points among technicians by their share of the work
+  const shares = this.constructor.calculateCreditShares(serviceItem.technicians);
+
+  const CreditTransaction = mongoose.model('CreditTransaction');
+
   // Assign points to each technician
   for (const techInfo of serviceItem.technicians) {
     if (!techInfo.creditsAssigned) {
+      const points = Math.round(serviceType.creditPoints * shares.get(techInfo.technician.toString()) * 100) / 100;
+
       // Update the technician in the service document
-      techInfo.creditPoints = pointsPerTechnician;
+      techInfo.creditPoints = points;
       techInfo.creditsAssigned = true;
-      
+
+      await CreditTransaction.create({
+        user: techInfo.technician,
+        type: 'award',
+        points,
+        service: this._id,
+        serviceItem: serviceItem._id,
+        serviceType: serviceType._id,
+        branch: this.branch,
+        reason: 'Service item completed',
+        createdBy: actionBy
+      });
+
       // Update the technician's user document
       const user = await User.findById(techInfo.technician);
       if (user) {
-        await user.addServiceCredits(serviceType._id, pointsPerTechnician);
+        await user.recalculateCredits(actionBy);
       }
     }
   }
@@ -249,10 +596,93 @@ serviceSchema.methods.assignCreditPoints = async function(serviceItemId, User) {
   return true;
 };
 
+// Labor cost of a service item from its pricing snapshot: base price plus billable
+// hours (never below the minimum) at the labor rate, plus the vehicle-type surcharge
+serviceSchema.statics.calculateLaborCost = function(serviceItem) {
+  const pricing = serviceItem.pricing || {};
+  const billableHours = Math.max(serviceItem.laborHours || 0, pricing.minimumLaborHours || 0);
+  const labor = (pricing.basePrice || 0) + billableHours * (serviceItem.laborRate || 0);
+
+  return Math.round(labor * (1 + (pricing.surchargePercentage || 0) / 100) * 100) / 100;
+};
+
+// Fraction of an item's credit points per technician ID: contribution shares when set,
+// otherwise hours worked when recorded for everyone, otherwise an even split
+serviceSchema.statics.calculateCreditShares = function(technicians) {
+  const shares = new Map();
+  if (technicians.length === 0) return shares;
+
+  const hasShares = technicians.every(tech =>
+    tech.contributionShare !== undefined && tech.contributionShare !== null
+  );
+  const totalHours = technicians.reduce((total, tech) => total + (tech.hoursWorked || 0), 0);
+  const hasHours = totalHours > 0 && technicians.every(tech => tech.hoursWorked > 0);
+
+  technicians.forEach(tech => {
+    let share;
+    if (hasShares) {
+      share = tech.contributionShare / 100;
+    } else if (hasHours) {
+      share = tech.hoursWorked / totalHours;
+    } else {
+      share = 1 / technicians.length;
+    }
+    shares.set(tech.technician.toString(), share);
+  });
+
+  return shares;
+};
+
+// Method to take back credit points awarded for a service item, either from every
+// technician or only from options.technicianId. Reversals are new ledger entries.
+serviceSchema.methods.reverseCreditPoints = async function(serviceItemId, User, options = {}) {
+  const serviceItem = this.serviceItems.id(serviceItemId);
+
+  if (!serviceItem) {
+    return false;
+  }
+
+  const CreditTransaction = mongoose.model('CreditTransaction');
+
+  for (const techInfo of serviceItem.technicians) {
+    if (options.technicianId && techInfo.technician.toString() !== options.technicianId.toString()) {
+      continue;
+    }
+
+    const netPoints = await CreditTransaction.getNetPoints(techInfo.technician, this._id, serviceItem._id);
+
+    if (netPoints !== 0) {
+      await CreditTransaction.create({
+        user: techInfo.technician,
+        type: 'reversal',
+        points: -netPoints,
+        service: this._id,
+        serviceItem: serviceItem._id,
+        serviceType: serviceItem.serviceType,
+        branch: this.branch,
+        reason: options.reason,
+        createdBy: options.actionBy
+      });
+
+      const user = await User.findById(techInfo.technician);
+      if (user) {
+        await user.recalculateCredits(options.actionBy);
+      }
+    }
+
+    techInfo.creditPoints = 0;
+    techInfo.creditsAssigned = false;
+  }
+
+  await this.save();
+  return true;
+};
+
 // Index for faster queries
 serviceSchema.index({ vehicle: 1, startDate: -1 });
 serviceSchema.index({ status: 1, branch: 1 });
 serviceSchema.index({ 'paymentStatus': 1 });
+serviceSchema.index({ balanceDue: 1, branch: 1 });
 serviceSchema.index({ 'serviceItems.serviceType': 1 });
 serviceSchema.index({ 'serviceItems.technicians.technician': 1 });
 
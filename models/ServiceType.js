@@ -34,6 +34,21 @@ const serviceTypeSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  // Default warranty on work of this type, counted from completion
+  warranty: {
+    periodDays: {
+      type: Number,
+      min: 0
+    },
+    terms: {
+      type: String,
+      trim: true
+    },
+    transferable: {
+      type: Boolean,
+      default: true
+    }
+  },
   requiredSkillLevel: {
     type: Number, // 1-5 scale
     min: 1,
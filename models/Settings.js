@@ -92,8 +92,55 @@ const settingsSchema = new mongoose.Schema({
       type: Number,
       default: 3,
       min: 1
+    },
+    // Percentage added to labor per vehicle type
+    vehicleTypeSurcharges: {
+      sedan: { type: Number, default: 0 },
+      suv: { type: Number, default: 0 },
+      hatchback: { type: Number, default: 0 },
+      truck: { type: Number, default: 0 },
+      van: { type: Number, default: 0 },
+      motorcycle: { type: Number, default: 0 },
+      other: { type: Number, default: 0 }
+    },
+    // Markup on the cost of parts that are not in the catalogue
+    partMarkupPercentage: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Days a quote stays valid unless another date is given
+    quoteValidityDays: {
+      type: Number,
+      default: 14,
+      min: 1
+    },
+    // Reject technician assignments below the service type's required skill level
+    enforceSkillLevel: {
+      type: Boolean,
+      default: false
     }
   },
+  billing: {
+    taxName: {
+      type: String,
+      default: 'Tax',
+      trim: true
+    },
+    taxRate: {
+      type: Number,
+      default: 0, // percentage
+      min: 0,
+      max: 100
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      trim: true
+    },
+    invoiceTerms: String,
+    invoiceFooter: String
+  },
   security: {
     passwordPolicy: {
       minLength: {
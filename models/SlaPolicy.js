@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true
+  },
+  // Complaints the policy applies to; an empty field matches any value. The most
+  // specific active policy wins (priority + category, then priority, then category).
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  },
+  category: {
+    type: String,
+    enum: ['service_quality', 'customer_service', 'pricing', 'delay', 'parts', 'other']
+  },
+  // Hours until someone picks the complaint up, and until it is resolved
+  responseHours: {
+    type: Number,
+    required: [true, 'Response time is required'],
+    min: 0
+  },
+  resolutionHours: {
+    type: Number,
+    required: [true, 'Resolution time is required'],
+    min: 0
+  },
+  // Count only the branch's operating hours, or every hour of the day
+  businessHoursOnly: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A complaint cannot be due for resolution before it is due for a response
+slaPolicySchema.pre('validate', function(next) {
+  if (this.resolutionHours < this.responseHours) {
+    this.invalidate('resolutionHours', 'Resolution time cannot be shorter than response time');
+  }
+  next();
+});
+
+// Index for faster lookup
+slaPolicySchema.index({ isActive: 1, priority: 1, category: 1 });
+
+const SlaPolicy = mongoose.model('SlaPolicy', slaPolicySchema);
+
+module.exports = SlaPolicy;
@@ -162,19 +162,38 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Method to add credit points for a service
-userSchema.methods.addServiceCredits = async function(serviceTypeId, creditsEarned) {
-  const serviceCapabilityIndex = this.serviceCapabilities.findIndex(
-    cap => cap.serviceType.toString() === serviceTypeId.toString()
-  );
-  
-  if (serviceCapabilityIndex !== -1) {
-    this.serviceCapabilities[serviceCapabilityIndex].totalCreditsEarned += creditsEarned;
-    this.serviceCapabilities[serviceCapabilityIndex].completedServices += 1;
-  }
-  
-  this.totalCreditPoints += creditsEarned;
+// Method to re-sum credit totals from the CreditTransaction ledger. Credits from
+// services completed before the ledger existed are backfilled first so they are not
+// dropped from the totals. Returns the number of entries backfilled.
+userSchema.methods.recalculateCredits = async function(actionBy) {
+  const CreditTransaction = mongoose.model('CreditTransaction');
+
+  const backfilled = await CreditTransaction.backfillFromServices(this._id, actionBy);
+
+  const totals = await CreditTransaction.aggregate([
+    { $match: { user: this._id } },
+    {
+      $group: {
+        _id: '$serviceType',
+        points: { $sum: '$points' },
+        awards: { $sum: { $cond: [{ $eq: ['$type', 'award'] }, 1, 0] } },
+        reversals: { $sum: { $cond: [{ $eq: ['$type', 'reversal'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const totalsByServiceType = new Map(totals.map(total => [total._id.toString(), total]));
+
+  this.serviceCapabilities.forEach(capability => {
+    const total = totalsByServiceType.get(capability.serviceType.toString());
+    capability.totalCreditsEarned = total ? total.points : 0;
+    capability.completedServices = total ? Math.max(0, total.awards - total.reversals) : 0;
+  });
+
+  this.totalCreditPoints = totals.reduce((sum, total) => sum + total.points, 0);
   await this.save();
+
+  return backfilled;
 };
 
 // Virtual for full name
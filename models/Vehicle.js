@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { decodeVin, findMismatches } = require('../utils/vinDecoder');
+const attachmentSchema = require('./attachmentSchema');
 
 const vehicleSchema = new mongoose.Schema({
   registrationNumber: {
@@ -22,6 +24,11 @@ const vehicleSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Vehicle year is required']
   },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  // Copy of the customer's contact details, kept in sync by CustomerService
   owner: {
     name: {
       type: String,
@@ -59,7 +66,21 @@ const vehicleSchema = new mongoose.Schema({
   vin: {
     type: String,
     trim: true,
-    uppercase: true
+    uppercase: true,
+    // A blank VIN is stored as missing, so the sparse unique index ignores it
+    set: vin => (vin === null || (typeof vin === 'string' && vin.trim() === '') ? undefined : vin),
+    unique: true,
+    sparse: true
+  },
+  // Decoded from the VIN whenever it changes
+  vinDetails: {
+    manufacturer: String,
+    region: String,
+    modelYear: Number,
+    plantCode: String,
+    checkDigitValid: Boolean,
+    // Differences between the VIN and the make/year entered
+    mismatches: [String]
   },
   mileage: {
     type: Number,
@@ -68,9 +89,68 @@ const vehicleSchema = new mongoose.Schema({
   lastService: {
     type: Date
   },
+  // Earliest due date and mileage across the maintenance schedule
   nextServiceDue: {
     type: Date
   },
+  nextServiceDueMileage: {
+    type: Number
+  },
+  // Changes of owner, oldest first; the owner at any date is derived from these
+  ownershipTransfers: [{
+    previousCustomer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    previousOwner: {
+      name: String,
+      phone: String,
+      email: String
+    },
+    newCustomer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true
+    },
+    newOwner: {
+      name: String,
+      phone: String,
+      email: String
+    },
+    transferDate: {
+      type: Date,
+      required: true
+    },
+    mileageAtTransfer: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    notes: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Maintained on service completion from the vehicle's maintenance plan
+  maintenanceSchedule: [{
+    serviceType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceType',
+      required: true
+    },
+    lastDoneAt: Date,
+    lastDoneMileage: Number,
+    // First visit after the service type was planned; due dates count from here until it is done
+    trackedSince: Date,
+    trackedSinceMileage: Number,
+    nextDueDate: Date,
+    nextDueMileage: Number
+  }],
   insuranceInfo: {
     provider: String,
     policyNumber: String,
@@ -100,13 +180,52 @@ const vehicleSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     }
-  }]
+  }],
+  // Photos (e.g. before/after damage) and documents
+  attachments: [attachmentSchema]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Reject malformed VINs and pre-fill make and year from a valid one
+vehicleSchema.pre('validate', function(next) {
+  if (!this.vin) {
+    this.vin = undefined;
+    this.vinDetails = undefined;
+    return next();
+  }
+
+  if (!this.isModified('vin') && !this.isModified('make') && !this.isModified('year')) {
+    return next();
+  }
+
+  const decoded = decodeVin(this.vin);
+  if (!decoded.valid) {
+    this.invalidate('vin', decoded.errors.join('; '));
+    return next();
+  }
+
+  if (!this.make && decoded.manufacturer) {
+    this.make = decoded.manufacturer;
+  }
+  if (!this.year && decoded.modelYear) {
+    this.year = decoded.modelYear;
+  }
+
+  this.vinDetails = {
+    manufacturer: decoded.manufacturer,
+    region: decoded.region,
+    modelYear: decoded.modelYear,
+    plantCode: decoded.plantCode,
+    checkDigitValid: decoded.checkDigit.valid,
+    mismatches: findMismatches(decoded, this)
+  };
+
+  next();
+});
+
 // Virtual for vehicle full name
 vehicleSchema.virtual('fullName').get(function() {
   return `${this.year} ${this.make} ${this.model}`;
@@ -122,7 +241,9 @@ vehicleSchema.virtual('serviceHistory', {
 // Index for faster queries
 vehicleSchema.index({ registrationNumber: 1, branch: 1 });
 vehicleSchema.index({ 'owner.email': 1 });
+vehicleSchema.index({ customer: 1 });
 vehicleSchema.index({ status: 1 });
+vehicleSchema.index({ branch: 1, nextServiceDue: 1 });
 
 const Vehicle = mongoose.model('Vehicle', vehicleSchema);
 
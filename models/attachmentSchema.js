@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Uploaded photo or document, embedded in complaints, services and vehicles.
+// path and thumbnailPath are storage keys (see utils/fileStorage.js), not URLs.
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  path: String,
+  mimeType: String,
+  size: Number,
+  thumbnailPath: String,
+  // What the file shows, e.g. before, after, damage, document
+  label: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadDate: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = attachmentSchema;
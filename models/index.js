@@ -10,6 +10,19 @@ const IncentivePolicy = require('./IncentivePolicy');
 const StaffCategory = require('./StaffCategory');
 const MonthlySalary = require('./MonthlySalary');
 const MonthlyTarget = require('./MonthlyTarget');
+const PayrollRun = require('./PayrollRun');
+const Part = require('./Part');
+const PartStock = require('./PartStock');
+const Appointment = require('./Appointment');
+const AppointmentSlot = require('./AppointmentSlot');
+const Invoice = require('./Invoice');
+const CreditTransaction = require('./CreditTransaction');
+const Quote = require('./Quote');
+const MaintenancePlan = require('./MaintenancePlan');
+const Customer = require('./Customer');
+const InspectionTemplate = require('./InspectionTemplate');
+const Inspection = require('./Inspection');
+const SlaPolicy = require('./SlaPolicy');
 module.exports = {
   User,
   Branch,
@@ -23,4 +36,17 @@ module.exports = {
   StaffCategory,
   MonthlySalary,
   MonthlyTarget,
+  PayrollRun,
+  Part,
+  PartStock,
+  Appointment,
+  AppointmentSlot,
+  Invoice,
+  CreditTransaction,
+  Quote,
+  MaintenancePlan,
+  Customer,
+  InspectionTemplate,
+  Inspection,
+  SlaPolicy,
 }; 
\ No newline at end of file
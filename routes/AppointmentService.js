@@ -0,0 +1,244 @@
+//routes/AppointmentService.js
+const Appointment = require('../models/Appointment');
+const AppointmentSlot = require('../models/AppointmentSlot');
+const Branch = require('../models/Branch');
+const Settings = require('../models/Settings');
+const { ErrorResponse } = require('../middleware/error');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Appointments in these states occupy a slot
+const ACTIVE_STATUSES = ['booked', 'checked_in'];
+
+class AppointmentService {
+  /**
+   * Get slot length and capacity from the current settings
+   * @returns {Promise<object>} - { duration (minutes), capacity, workingHours }
+   */
+  static async getSlotSettings() {
+    const settings = await Settings.findOne().sort({ createdAt: -1 });
+    const service = (settings && settings.service) || {};
+
+    return {
+      duration: service.appointmentDuration || 60,
+      capacity: service.maxAppointmentsPerSlot || 3,
+      workingHours: service.workingHours || {}
+    };
+  }
+
+  /**
+   * Parse a "YYYY-MM-DD" string into a local date at midnight
+   * @param {string} value - Date string
+   * @returns {Date} - Start of the day
+   */
+  static parseDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+      throw new ErrorResponse('Please provide a date in YYYY-MM-DD format', 400);
+    }
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  /**
+   * Combine a day with an "HH:mm" time
+   * @param {Date} day - Start of the day
+   * @param {string} time - Time string
+   * @returns {Date|null} - Date and time, or null when the time is not set
+   */
+  static atTime(day, time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) return null;
+
+    const date = new Date(day);
+    date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    return date;
+  }
+
+  /**
+   * Opening hours for a branch on a given day. Branch operating hours win; branches
+   * without any operating hours fall back to Settings.service.workingHours.
+   * @param {object} branch - Branch
+   * @param {Date} day - Start of the day
+   * @param {object} workingHours - Default working hours from settings
+   * @returns {object|null} - { open, close } or null when closed
+   */
+  static getOpeningHours(branch, day, workingHours) {
+    const operatingHours = branch.toObject().operatingHours || {};
+    const hasBranchHours = DAYS.some(name => operatingHours[name] && operatingHours[name].open);
+
+    const hours = hasBranchHours
+      ? operatingHours[DAYS[day.getDay()]] || {}
+      : { open: workingHours.start, close: workingHours.end };
+
+    const open = this.atTime(day, hours.open);
+    const close = this.atTime(day, hours.close);
+
+    if (!open || !close || close <= open) {
+      return null;
+    }
+
+    return { open, close };
+  }
+
+  /**
+   * List every slot for a branch on a day with its remaining capacity
+   * @param {string} branchId - Branch ID
+   * @param {string} date - Day in YYYY-MM-DD format
+   * @param {string} excludeAppointmentId - Appointment to ignore (when rescheduling it)
+   * @returns {Promise<object>} - { date, open, closed, slots }
+   */
+  static async getAvailability(branchId, date, excludeAppointmentId) {
+    const branch = await Branch.findById(branchId);
+    if (!branch) {
+      throw new ErrorResponse(`Branch not found with id of ${branchId}`, 404);
+    }
+
+    const day = this.parseDay(date);
+    const { duration, capacity, workingHours } = await this.getSlotSettings();
+    const hours = branch.status === 'active' ? this.getOpeningHours(branch, day, workingHours) : null;
+
+    if (!hours) {
+      return { date, closed: true, slots: [] };
+    }
+
+    const query = {
+      branch: branch._id,
+      status: { $in: ACTIVE_STATUSES },
+      scheduledStart: { $lt: hours.close },
+      scheduledEnd: { $gt: hours.open }
+    };
+    if (excludeAppointmentId) {
+      query._id = { $ne: excludeAppointmentId };
+    }
+    const appointments = await Appointment.find(query).select('scheduledStart scheduledEnd');
+
+    const now = new Date();
+    const slots = [];
+    for (
+      let start = hours.open;
+      start.getTime() + duration * 60000 <= hours.close.getTime();
+      start = new Date(start.getTime() + duration * 60000)
+    ) {
+      const end = new Date(start.getTime() + duration * 60000);
+      const booked = appointments.filter(
+        appointment => appointment.scheduledStart < end && appointment.scheduledEnd > start
+      ).length;
+
+      slots.push({
+        start,
+        end,
+        capacity,
+        booked,
+        available: start > now ? Math.max(0, capacity - booked) : 0
+      });
+    }
+
+    return {
+      date,
+      closed: false,
+      open: hours.open,
+      close: hours.close,
+      slots
+    };
+  }
+
+  /**
+   * Find the slot starting at the given time, or throw if it cannot be booked
+   * @param {string} branchId - Branch ID
+   * @param {Date|string} scheduledStart - Requested start time
+   * @param {string} excludeAppointmentId - Appointment to ignore (when rescheduling it)
+   * @returns {Promise<object>} - The slot
+   */
+  static async findBookableSlot(branchId, scheduledStart, excludeAppointmentId) {
+    const start = new Date(scheduledStart);
+    if (isNaN(start.getTime())) {
+      throw new ErrorResponse('Please provide a valid appointment start time', 400);
+    }
+
+    const date = [
+      start.getFullYear(),
+      String(start.getMonth() + 1).padStart(2, '0'),
+      String(start.getDate()).padStart(2, '0')
+    ].join('-');
+
+    const availability = await this.getAvailability(branchId, date, excludeAppointmentId);
+    if (availability.closed) {
+      throw new ErrorResponse('The branch is closed on the requested day', 400);
+    }
+
+    const slot = availability.slots.find(candidate => candidate.start.getTime() === start.getTime());
+    if (!slot) {
+      throw new ErrorResponse('The requested time does not match an appointment slot', 400);
+    }
+
+    if (slot.available < 1) {
+      throw new ErrorResponse('The requested slot is fully booked or in the past', 400);
+    }
+
+    return slot;
+  }
+
+  /**
+   * Claim a place in a slot, or throw if another booking took the last one first.
+   * The counter is raised to at least the appointments overlapping the slot, which
+   * also covers appointments booked with a different slot length.
+   * @param {string} branchId - Branch ID
+   * @param {object} slot - Slot from findBookableSlot
+   */
+  static async claimSlot(branchId, slot) {
+    try {
+      await AppointmentSlot.updateOne(
+        { branch: branchId, start: slot.start, end: slot.end },
+        { $max: { booked: slot.booked } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent booking created the counter first
+      if (error.code !== 11000) throw error;
+    }
+
+    const claimed = await AppointmentSlot.findOneAndUpdate(
+      { branch: branchId, start: slot.start, end: slot.end, booked: { $lt: slot.capacity } },
+      { $inc: { booked: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new ErrorResponse('The requested slot is fully booked or in the past', 400);
+    }
+  }
+
+  /**
+   * Undo a claim when the booking it was made for could not be saved
+   * @param {string} branchId - Branch ID
+   * @param {object} slot - Slot passed to claimSlot
+   */
+  static async unclaimSlot(branchId, slot) {
+    await AppointmentSlot.updateOne(
+      { branch: branchId, start: slot.start, end: slot.end, booked: { $gt: 0 } },
+      { $inc: { booked: -1 } }
+    );
+  }
+
+  /**
+   * Give back the place an appointment held in every slot it overlaps
+   * @param {object} appointment - Appointment (branch, scheduledStart and scheduledEnd)
+   * @param {object} keepSlot - Slot the appointment has moved to, left as it is
+   */
+  static async releaseSlot(appointment, keepSlot) {
+    const query = {
+      branch: appointment.branch,
+      start: { $lt: appointment.scheduledEnd },
+      end: { $gt: appointment.scheduledStart },
+      booked: { $gt: 0 }
+    };
+
+    if (keepSlot) {
+      query.$nor = [{ start: keepSlot.start, end: keepSlot.end }];
+    }
+
+    await AppointmentSlot.updateMany(query, { $inc: { booked: -1 } });
+  }
+}
+
+module.exports = AppointmentService;
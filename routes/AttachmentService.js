@@ -0,0 +1,224 @@
+//routes/AttachmentService.js
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ErrorResponse } = require('../middleware/error');
+const { getStorage } = require('../utils/fileStorage');
+
+// File extension and leading bytes for each accepted type, so a renamed file
+// cannot pass as an image or PDF on its declared MIME type alone
+const FILE_TYPES = {
+  'image/jpeg': { extension: '.jpg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  'image/png': { extension: '.png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: '.webp', matches: buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' },
+  'application/pdf': { extension: '.pdf', matches: buffer => buffer.toString('ascii', 0, 5) === '%PDF-' }
+};
+
+// Longest side of an image thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+// Roles that may delete attachments uploaded by someone else
+const MANAGER_ROLES = ['admin', 'manager'];
+
+class AttachmentService {
+  /**
+   * Throw unless the user is an admin or works at the record's branch
+   * @param {object} record - Complaint, service or vehicle
+   * @param {object} user - Current user
+   * @param {string} recordName - Record name for the error message
+   */
+  static assertAccess(record, user, recordName) {
+    if (user.role !== 'admin' && record.branch.toString() !== user.branch.toString()) {
+      throw new ErrorResponse(`Not authorized to access attachments of this ${recordName}`, 403);
+    }
+  }
+
+  /**
+   * Check that an uploaded file really is of the type it claims to be
+   * @param {object} file - Multer file
+   */
+  static assertFileType(file) {
+    const type = FILE_TYPES[file.mimetype];
+
+    if (!type || !type.matches(file.buffer)) {
+      throw new ErrorResponse(`${file.originalname} is not a valid ${file.mimetype} file`, 415);
+    }
+  }
+
+  /**
+   * Small JPEG preview of an image, rotated according to its EXIF orientation
+   * @param {object} file - Multer file
+   * @returns {Promise<Buffer>} - Thumbnail
+   */
+  static async createThumbnail(file) {
+    try {
+      return await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      throw new ErrorResponse(`${file.originalname} could not be read as an image`, 415);
+    }
+  }
+
+  /**
+   * Store uploaded files and attach them to a record. If anything fails, files
+   * already stored in this call are removed again.
+   * @param {object} record - Complaint, service or vehicle
+   * @param {string} folder - Storage folder for the record type, e.g. complaints
+   * @param {Array} files - Multer files
+   * @param {object} details - { label, description } applied to every file
+   * @param {string} userId - User uploading the files
+   * @returns {Promise<Array>} - Added attachments
+   */
+  static async add(record, folder, files = [], details = {}, userId) {
+    if (files.length === 0) {
+      throw new ErrorResponse('Please upload at least one file in the files field', 400);
+    }
+
+    files.forEach(file => this.assertFileType(file));
+
+    const storage = getStorage();
+    const stored = [];
+
+    try {
+      for (const file of files) {
+        const key = `${folder}/${record._id}/${crypto.randomUUID()}`;
+        const path = await storage.save(`${key}${FILE_TYPES[file.mimetype].extension}`, file.buffer);
+        stored.push(path);
+
+        let thumbnailPath;
+        if (file.mimetype.startsWith('image/')) {
+          thumbnailPath = await storage.save(`${key}_thumb.jpg`, await this.createThumbnail(file));
+          stored.push(thumbnailPath);
+        }
+
+        record.attachments.push({
+          filename: file.originalname,
+          path,
+          mimeType: file.mimetype,
+          size: file.size,
+          thumbnailPath,
+          label: details.label,
+          description: details.description,
+          uploadedBy: userId
+        });
+      }
+
+      await record.save();
+    } catch (error) {
+      await Promise.all(stored.map(key => storage.remove(key).catch(() => {})));
+      throw error;
+    }
+
+    return record.attachments.slice(-files.length);
+  }
+
+  /**
+   * Attachment of a record
+   * @param {object} record - Complaint, service or vehicle
+   * @param {string} attachmentId - Attachment ID
+   * @returns {object} - Attachment
+   */
+  static getAttachment(record, attachmentId) {
+    const attachment = record.attachments.id(attachmentId);
+
+    // Attachments from before uploads were stored have no file to serve
+    if (!attachment || !attachment.mimeType) {
+      throw new ErrorResponse(`Attachment not found with id of ${attachmentId}`, 404);
+    }
+
+    return attachment;
+  }
+
+  /**
+   * Open an attachment, or its thumbnail, for download
+   * @param {object} attachment - Attachment
+   * @param {boolean} thumbnail - Whether to serve the thumbnail
+   * @returns {Promise<object>} - { stream, mimeType, filename }
+   */
+  static async open(attachment, thumbnail = false) {
+    if (thumbnail && !attachment.thumbnailPath) {
+      throw new ErrorResponse('This attachment has no thumbnail', 404);
+    }
+
+    const key = thumbnail ? attachment.thumbnailPath : attachment.path;
+    const storage = getStorage();
+
+    if (!await storage.exists(key)) {
+      throw new ErrorResponse('Attachment file is missing from storage', 404);
+    }
+
+    return {
+      stream: storage.createReadStream(key),
+      mimeType: thumbnail ? 'image/jpeg' : attachment.mimeType,
+      filename: attachment.filename
+    };
+  }
+
+  /**
+   * Delete an attachment and its files. Staff can delete their own uploads;
+   * managers and admins can delete any.
+   * @param {object} record - Complaint, service or vehicle
+   * @param {string} attachmentId - Attachment ID
+   * @param {object} user - Current user
+   */
+  static async remove(record, attachmentId, user) {
+    const attachment = record.attachments.id(attachmentId);
+    if (!attachment) {
+      throw new ErrorResponse(`Attachment not found with id of ${attachmentId}`, 404);
+    }
+
+    const uploadedByUser = attachment.uploadedBy && attachment.uploadedBy.toString() === user.id.toString();
+    if (!uploadedByUser && !MANAGER_ROLES.includes(user.role)) {
+      throw new ErrorResponse('Not authorized to delete this attachment', 403);
+    }
+
+    const keys = [attachment.path, attachment.thumbnailPath].filter(Boolean);
+    const hasStoredFile = Boolean(attachment.mimeType);
+
+    attachment.deleteOne();
+    await record.save();
+
+    // Older attachments only recorded a client-supplied path; there is nothing to delete
+    if (hasStoredFile) {
+      const storage = getStorage();
+      await Promise.all(keys.map(key => storage.remove(key)));
+    }
+  }
+
+  /**
+   * Delete the stored files of every attachment, before the record itself is deleted
+   * @param {object} record - Complaint, service or vehicle
+   */
+  static async removeAll(record) {
+    const storage = getStorage();
+    const keys = record.attachments
+      .filter(attachment => attachment.mimeType)
+      .reduce((all, attachment) => all.concat([attachment.path, attachment.thumbnailPath].filter(Boolean)), []);
+
+    await Promise.all(keys.map(key => storage.remove(key)));
+  }
+
+  /**
+   * Write an opened attachment to the response
+   * @param {object} res - Express response
+   * @param {object} file - From open
+   * @param {Function} next - Express next, for stream errors
+   */
+  static send(res, file, next) {
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(file.filename)}`);
+
+    file.stream.on('error', error => {
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    });
+    file.stream.pipe(res);
+  }
+}
+
+module.exports = AttachmentService;
@@ -0,0 +1,229 @@
+//routes/ComplaintSlaService.js
+const Branch = require('../models/Branch');
+const Complaint = require('../models/Complaint');
+const SlaPolicy = require('../models/SlaPolicy');
+const User = require('../models/User');
+const AppointmentService = require('./AppointmentService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Complaints still waiting on the branch
+const OPEN_STATUSES = ['open', 'in_progress'];
+
+// How far ahead to look for opening hours before counting calendar hours instead
+const MAX_DAYS_AHEAD = 366;
+
+class ComplaintSlaService {
+  /**
+   * Most specific active SLA policy for a complaint
+   * @param {object} complaint - { priority, category }
+   * @returns {Promise<object|null>} - Policy
+   */
+  static async findPolicy(complaint) {
+    const policies = await SlaPolicy.find({
+      isActive: true,
+      priority: { $in: [complaint.priority, null] },
+      category: { $in: [complaint.category, null] }
+    });
+
+    const score = policy => (policy.priority ? 2 : 0) + (policy.category ? 1 : 0);
+
+    return policies.sort((a, b) => score(b) - score(a))[0] || null;
+  }
+
+  /**
+   * Add working time to a date, counting only the branch's opening hours
+   * (or the default working hours from settings)
+   * @param {object} branch - Branch
+   * @param {Date} start - Start time
+   * @param {number} hours - Working hours to add
+   * @param {object} workingHours - Default working hours from settings
+   * @returns {Date|null} - Due time, or null when the branch never opens
+   */
+  static addBusinessHours(branch, start, hours, workingHours = {}) {
+    let remaining = hours * HOUR_MS;
+    if (remaining <= 0) {
+      return new Date(start);
+    }
+
+    let day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+    for (let i = 0; i < MAX_DAYS_AHEAD; i++) {
+      const opening = AppointmentService.getOpeningHours(branch, day, workingHours);
+
+      if (opening) {
+        const from = opening.open > start ? opening.open : start;
+        const available = opening.close - from;
+
+        if (available > 0) {
+          if (remaining <= available) {
+            return new Date(from.getTime() + remaining);
+          }
+          remaining -= available;
+        }
+      }
+
+      day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Response and resolution due dates for a complaint under its SLA policy
+   * @param {object} complaint - { branch, priority, category, createdAt }
+   * @returns {Promise<object|null>} - { policy, responseDueDate, dueDate }, or null when no policy applies
+   */
+  static async calculateDueDates(complaint) {
+    const policy = await this.findPolicy(complaint);
+    if (!policy) {
+      return null;
+    }
+
+    const start = complaint.createdAt ? new Date(complaint.createdAt) : new Date();
+    const addCalendarHours = hours => new Date(start.getTime() + hours * HOUR_MS);
+
+    let addHours = addCalendarHours;
+    if (policy.businessHoursOnly) {
+      const branch = await Branch.findById(complaint.branch);
+      const { workingHours } = await AppointmentService.getSlotSettings();
+
+      // Calendar hours are counted for a branch that never opens
+      if (branch) {
+        addHours = hours => this.addBusinessHours(branch, start, hours, workingHours) || addCalendarHours(hours);
+      }
+    }
+
+    return {
+      policy: policy._id,
+      responseDueDate: addHours(policy.responseHours),
+      dueDate: addHours(policy.resolutionHours)
+    };
+  }
+
+  /**
+   * Set the due dates of a new complaint from its SLA policy. Without a policy the
+   * due date given by the user is kept.
+   * @param {object} complaint - Complaint (updated in place)
+   * @returns {Promise<object>} - The same complaint
+   */
+  static async applyPolicy(complaint) {
+    const due = await this.calculateDueDates(complaint);
+
+    if (due) {
+      complaint.sla.policy = due.policy;
+      complaint.sla.responseDueDate = due.responseDueDate;
+      complaint.dueDate = due.dueDate;
+    }
+
+    return complaint;
+  }
+
+  /**
+   * Manager to escalate a branch's complaints to: the branch manager, or else an
+   * active manager working at the branch
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<object|null>} - User
+   */
+  static async findBranchManager(branchId) {
+    const branch = await Branch.findById(branchId).select('manager');
+
+    if (branch && branch.manager) {
+      const manager = await User.findById(branch.manager);
+      if (manager && manager.status !== 'inactive') {
+        return manager;
+      }
+    }
+
+    return User.findOne({ branch: branchId, role: 'manager', status: 'active' });
+  }
+
+  /**
+   * Escalate every open complaint that has missed its response or resolution
+   * deadline to the branch manager (run on a schedule). A complaint that cannot be
+   * saved is counted as failed and tried again on the next run.
+   * @param {Date} now - Current time
+   * @returns {Promise<object>} - { escalated, withoutManager, failed }
+   */
+  static async escalateBreached(now = new Date()) {
+    const breached = await Complaint.find({
+      status: { $in: OPEN_STATUSES },
+      'escalated.status': { $ne: true },
+      $or: [
+        { dueDate: { $lt: now } },
+        { 'sla.respondedAt': null, 'sla.responseDueDate': { $lt: now } }
+      ]
+    });
+
+    const managers = new Map();
+    const result = { escalated: 0, withoutManager: 0, failed: 0 };
+
+    for (const complaint of breached) {
+      try {
+        const branchId = complaint.branch.toString();
+        if (!managers.has(branchId)) {
+          managers.set(branchId, await this.findBranchManager(complaint.branch));
+        }
+        const manager = managers.get(branchId);
+
+        const reason = complaint.dueDate && complaint.dueDate < now
+          ? `SLA breached: not resolved by ${complaint.dueDate.toISOString()}`
+          : `SLA breached: no response by ${complaint.sla.responseDueDate.toISOString()}`;
+
+        complaint.escalated = {
+          status: true,
+          date: now,
+          reason,
+          escalatedTo: manager ? manager._id : undefined,
+          automatic: true
+        };
+
+        // Unassigned complaints go to the manager; otherwise the manager is made aware
+        if (manager && !complaint.assignedTo) {
+          complaint.assignedTo = manager._id;
+        }
+
+        complaint.timeline.push({
+          status: 'escalated',
+          comment: reason,
+          date: now
+        });
+
+        await complaint.save();
+
+        result.escalated += 1;
+        if (!manager) {
+          result.withoutManager += 1;
+        }
+      } catch (error) {
+        // One bad record must not hold up the other breached complaints
+        console.error(`SLA escalation failed for complaint ${complaint._id}:`, error.message);
+        result.failed += 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run escalateBreached on an interval
+   * @param {number} intervalMinutes - Minutes between runs
+   * @returns {object} - Timer
+   */
+  static startEscalationJob(intervalMinutes = 15) {
+    const run = () => this.escalateBreached()
+      .then(result => {
+        if (result.escalated > 0) {
+          console.log(`SLA check escalated ${result.escalated} complaints`);
+        }
+        if (result.failed > 0) {
+          console.error(`SLA check could not escalate ${result.failed} complaints`);
+        }
+      })
+      .catch(error => console.error('SLA check failed:', error.message));
+
+    return setInterval(run, intervalMinutes * 60 * 1000);
+  }
+}
+
+module.exports = ComplaintSlaService;
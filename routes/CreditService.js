@@ -0,0 +1,46 @@
+//routes/CreditService.js
+const User = require('../models/User');
+const { ErrorResponse } = require('../middleware/error');
+
+class CreditService {
+  /**
+   * Recompute user credit totals from the ledger, backfilling each user's older
+   * service history first
+   * @param {string} userId - Rebuild one user; all users when omitted
+   * @param {string} actionBy - User ID of person running the rebuild
+   * @returns {Promise<object>} - { backfilled, users: [{ id, name, before, after }] }
+   */
+  static async rebuildTotals(userId, actionBy) {
+    let users;
+    if (userId) {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new ErrorResponse(`User not found with id of ${userId}`, 404);
+      }
+      users = [user];
+    } else {
+      users = await User.find();
+    }
+
+    let backfilled = 0;
+    const results = [];
+    for (const user of users) {
+      const before = user.totalCreditPoints;
+      backfilled += await user.recalculateCredits(actionBy);
+
+      results.push({
+        id: user._id,
+        name: `${user.firstName} ${user.lastName}`,
+        before,
+        after: user.totalCreditPoints
+      });
+    }
+
+    return {
+      backfilled,
+      users: results
+    };
+  }
+}
+
+module.exports = CreditService;
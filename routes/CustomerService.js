@@ -0,0 +1,299 @@
+//routes/CustomerService.js
+const Customer = require('../models/Customer');
+const Vehicle = require('../models/Vehicle');
+const Service = require('../models/Service');
+const Invoice = require('../models/Invoice');
+const Complaint = require('../models/Complaint');
+const { ErrorResponse } = require('../middleware/error');
+
+// Phone numbers are compared on their digits only ("+1 (555) 010-2000" = "15550102000")
+const normalizePhone = phone => (phone || '').replace(/\D/g, '');
+
+const normalizeEmail = email => (email || '').trim().toLowerCase();
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CustomerService {
+  /**
+   * Find an existing customer with the same email or phone number
+   * @param {object} contact - { email, phone }
+   * @param {string} excludeId - Customer to ignore (when updating it)
+   * @returns {Promise<object|null>} - Matching customer
+   */
+  static async findMatch(contact = {}, excludeId) {
+    const email = normalizeEmail(contact.email);
+    const phone = normalizePhone(contact.phone);
+    const others = excludeId ? { _id: { $ne: excludeId } } : {};
+
+    if (email) {
+      const byEmail = await Customer.findOne({ ...others, email });
+      if (byEmail) return byEmail;
+    }
+
+    if (phone) {
+      // Stored numbers may be formatted differently, so match on the digits in order
+      const pattern = phone.split('').map(escapeRegex).join('\\D*');
+      const candidates = await Customer.find({
+        ...others,
+        $or: [
+          { phone: { $regex: pattern } },
+          { alternatePhones: { $regex: pattern } }
+        ]
+      });
+
+      return candidates.find(customer =>
+        normalizePhone(customer.phone) === phone ||
+        customer.alternatePhones.some(alternate => normalizePhone(alternate) === phone)
+      ) || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Customer for an embedded vehicle owner: the matching customer, or a new one
+   * @param {object} owner - Vehicle owner { name, phone, email, address }
+   * @param {string} branchId - Branch registering the vehicle
+   * @returns {Promise<object>} - { customer, created }
+   */
+  static async findOrCreateFromOwner(owner = {}, branchId) {
+    const existing = await this.findMatch(owner);
+
+    if (existing) {
+      this.mergeOwnerDetails(existing, owner);
+      if (existing.isModified()) {
+        await existing.save();
+      }
+      return { customer: existing, created: false };
+    }
+
+    const customer = await Customer.create({
+      name: owner.name,
+      phone: owner.phone,
+      email: owner.email,
+      addresses: owner.address && Object.values(owner.address).some(Boolean)
+        ? [{ ...owner.address, isDefault: true }]
+        : [],
+      branch: branchId
+    });
+
+    return { customer, created: true };
+  }
+
+  /**
+   * Keep details from a duplicate owner record that the customer does not have yet
+   * @param {object} customer - Customer (updated in place)
+   * @param {object} owner - Vehicle owner
+   */
+  static mergeOwnerDetails(customer, owner) {
+    const phone = normalizePhone(owner.phone);
+    const knownPhones = [customer.phone, ...customer.alternatePhones].map(normalizePhone);
+    if (phone && !knownPhones.includes(phone)) {
+      customer.alternatePhones.push(owner.phone);
+    }
+
+    if (owner.address && Object.values(owner.address).some(Boolean)) {
+      const sameAddress = customer.addresses.some(address =>
+        (address.street || '') === (owner.address.street || '') &&
+        (address.zipCode || '') === (owner.address.zipCode || '')
+      );
+
+      if (!sameAddress) {
+        customer.addresses.push({
+          ...owner.address,
+          label: 'other',
+          isDefault: customer.addresses.length === 0
+        });
+      }
+    }
+  }
+
+  /**
+   * Link a vehicle to a customer and copy the contact details onto it
+   * @param {object} vehicle - Vehicle (document or request body, updated in place)
+   * @param {object} customer - Customer
+   */
+  static applyToVehicle(vehicle, customer) {
+    const address = customer.getDefaultAddress();
+
+    vehicle.customer = customer._id;
+    vehicle.owner = {
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email,
+      address: address ? {
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        zipCode: address.zipCode
+      } : undefined
+    };
+  }
+
+  /**
+   * Refresh the owner details of every vehicle of a customer
+   * @param {object} customer - Customer
+   * @returns {Promise<number>} - Vehicles updated
+   */
+  static async syncVehicles(customer) {
+    const vehicles = await Vehicle.find({ customer: customer._id });
+
+    for (const vehicle of vehicles) {
+      this.applyToVehicle(vehicle, customer);
+      await vehicle.save();
+    }
+
+    return vehicles.length;
+  }
+
+  /**
+   * Resolve the customer for a new vehicle: the given customer ID, or a customer
+   * matched or created from the owner details
+   * @param {object} body - Vehicle request body (updated in place)
+   * @returns {Promise<object>} - Customer
+   */
+  static async resolveForVehicle(body) {
+    let customer;
+
+    if (body.customer) {
+      customer = await Customer.findById(body.customer);
+      if (!customer) {
+        throw new ErrorResponse(`Customer not found with id of ${body.customer}`, 404);
+      }
+    } else {
+      ({ customer } = await this.findOrCreateFromOwner(body.owner, body.branch));
+    }
+
+    this.applyToVehicle(body, customer);
+    return customer;
+  }
+
+  /**
+   * One-off migration: create customers from the owner details embedded in vehicles,
+   * merging owners with the same email or phone number, and link every vehicle
+   * @returns {Promise<object>} - { vehicles, customersCreated, vehiclesLinked }
+   */
+  static async migrateVehicleOwners() {
+    // Oldest first, so the first registration's details become the customer's main ones
+    const vehicles = await Vehicle.find({ customer: { $exists: false } }).sort({ createdAt: 1 });
+
+    const result = {
+      vehicles: vehicles.length,
+      customersCreated: 0,
+      vehiclesLinked: 0
+    };
+
+    const touched = new Map();
+
+    for (const vehicle of vehicles) {
+      const { customer, created } = await this.findOrCreateFromOwner(vehicle.owner, vehicle.branch);
+
+      if (created) {
+        result.customersCreated += 1;
+      }
+
+      vehicle.customer = customer._id;
+      await vehicle.save();
+      result.vehiclesLinked += 1;
+      touched.set(customer._id.toString(), customer);
+    }
+
+    // Duplicates now carry the same contact details
+    for (const customer of touched.values()) {
+      await this.syncVehicles(customer);
+    }
+
+    return result;
+  }
+
+  /**
+   * Periods in which a customer owned each vehicle, from the vehicles' ownership
+   * transfers (open-ended periods have a null from/to)
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} - [{ vehicle, from, to }]
+   */
+  static async getOwnershipPeriods(customerId) {
+    const id = customerId.toString();
+    const vehicles = await Vehicle.find({
+      $or: [
+        { customer: customerId },
+        { 'ownershipTransfers.previousCustomer': customerId },
+        { 'ownershipTransfers.newCustomer': customerId }
+      ]
+    }).select('customer ownershipTransfers');
+
+    const periods = [];
+
+    for (const vehicle of vehicles) {
+      const transfers = vehicle.ownershipTransfers;
+
+      const segments = transfers.length === 0
+        ? [{ customer: vehicle.customer, from: null, to: null }]
+        : [
+          { customer: transfers[0].previousCustomer, from: null, to: transfers[0].transferDate },
+          ...transfers.map((transfer, index) => ({
+            customer: transfer.newCustomer,
+            from: transfer.transferDate,
+            to: transfers[index + 1] ? transfers[index + 1].transferDate : null
+          }))
+        ];
+
+      segments
+        .filter(segment => segment.customer && segment.customer.toString() === id)
+        .forEach(segment => periods.push({ vehicle: vehicle._id, from: segment.from, to: segment.to }));
+    }
+
+    return periods;
+  }
+
+  /**
+   * Services, invoices and complaints from the time the customer owned each vehicle
+   * @param {string} customerId - Customer ID
+   * @param {string} kind - services, invoices or complaints
+   * @returns {Promise<Array>} - Records, newest first
+   */
+  static async getHistory(customerId, kind) {
+    const dateFields = { services: 'startDate', invoices: 'issuedAt', complaints: 'createdAt' };
+    if (!dateFields[kind]) {
+      throw new ErrorResponse(`Unknown customer history ${kind}`, 400);
+    }
+
+    const periods = await this.getOwnershipPeriods(customerId);
+    if (periods.length === 0) {
+      return [];
+    }
+
+    const query = {
+      $or: periods.map(period => {
+        const condition = { vehicle: period.vehicle };
+        if (period.from || period.to) {
+          condition[dateFields[kind]] = {};
+          if (period.from) condition[dateFields[kind]].$gte = period.from;
+          if (period.to) condition[dateFields[kind]].$lt = period.to;
+        }
+        return condition;
+      })
+    };
+
+    switch (kind) {
+      case 'services':
+        return Service.find(query)
+          .select('vehicle branch status startDate completionDate totalCost balanceDue paymentStatus')
+          .populate('vehicle', 'registrationNumber make model')
+          .populate('branch', 'name')
+          .sort({ startDate: -1 });
+      case 'invoices':
+        return Invoice.find(query)
+          .select('-lineItems')
+          .populate('branch', 'name')
+          .sort({ issuedAt: -1 });
+      case 'complaints':
+        return Complaint.find(query)
+          .select('title category priority status vehicle service branch createdAt')
+          .populate('vehicle', 'registrationNumber make model')
+          .sort({ createdAt: -1 });
+    }
+  }
+}
+
+module.exports = CustomerService;
@@ -6,9 +6,34 @@ const IncentivePolicy = require('../models/IncentivePolicy');
 const StaffCategory = require('../models/StaffCategory');
 const MonthlyTarget = require('../models/MonthlyTarget');
 const MonthlySalary = require('../models/MonthlySalary');
-const mathjs = require('mathjs');
+const PayrollRun = require('../models/PayrollRun');
+const { ErrorResponse } = require('../middleware/error');
 
 class IncentiveCalculationService {
+  /**
+   * Find the active incentive policy that applies to a staff category in a given month
+   * @param {string} categoryId - Staff category ID
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {Promise<object|null>} - Applicable incentive policy, if any
+   */
+  static async findApplicablePolicy(categoryId, month, year) {
+    const startDate = new Date(year, month - 1, 1);
+    const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+
+    // Most recently effective policy wins when several overlap the month
+    return IncentivePolicy.findOne({
+      active: true,
+      applicableCategories: categoryId,
+      effectiveFrom: { $lte: endDate },
+      $or: [
+        { effectiveTo: { $exists: false } },
+        { effectiveTo: null },
+        { effectiveTo: { $gte: startDate } }
+      ]
+    }).sort({ effectiveFrom: -1 });
+  }
+
   /**
    * Calculate incentive for a staff member for a specific month and year
    * @param {string} staffId - Staff member ID
@@ -24,24 +49,24 @@ class IncentiveCalculationService {
       // Get the staff member
       const staff = await User.findById(staffId);
       if (!staff) {
-        throw new Error('Staff member not found');
+        throw new ErrorResponse('Staff member not found', 404);
       }
       
       // Get the staff category
       const category = await StaffCategory.findById(categoryId);
       if (!category) {
-        throw new Error('Staff category not found');
+        throw new ErrorResponse('Staff category not found', 404);
       }
       
       // Get the incentive policy
       const policy = await IncentivePolicy.findById(policyId);
       if (!policy) {
-        throw new Error('Incentive policy not found');
+        throw new ErrorResponse('Incentive policy not found', 404);
       }
       
       // Check if the policy is applicable to the category
       if (!policy.isApplicableTo(categoryId)) {
-        throw new Error('The selected policy is not applicable to this staff category');
+        throw new ErrorResponse('The selected policy is not applicable to this staff category', 400);
       }
       
       // Get the monthly target for this category
@@ -52,7 +77,7 @@ class IncentiveCalculationService {
       });
       
       if (!monthlyTarget) {
-        throw new Error(`No monthly target found for ${month}/${year} for the selected category`);
+        throw new ErrorResponse(`No monthly target found for ${month}/${year} for the selected category`, 404);
       }
       
       // Calculate the start and end dates for the month
@@ -69,17 +94,22 @@ class IncentiveCalculationService {
         monthlyTarget
       );
       
+      // Callers may only supply the policy's own variables; computed metrics always win
+      const declared = new Set((policy.variables || []).map(variable => variable.name));
+      const customVariables = Object.entries(options.variables || {})
+        .filter(([name]) => declared.has(name))
+        .reduce((custom, [name, value]) => ({ ...custom, [name]: value }), {});
+      
       // Prepare variables for the incentive formula
       const variables = {
+        ...customVariables,
         baseSalary: category.baseSalary,
         baseIncentiveRate: category.baseIncentiveRate,
         totalCreditPoints: performanceMetrics.totalCreditPoints,
         completedServices: performanceMetrics.completedServices,
         targetAchievementPercentage: performanceMetrics.targetAchievementPercentage,
         targetCreditPoints: monthlyTarget.targetCreditPoints,
-        targetCompletedServices: monthlyTarget.targetCompletedServices,
-        // Add any custom variables from options
-        ...options.variables
+        targetCompletedServices: monthlyTarget.targetCompletedServices
       };
       
       // Calculate the incentive breakdown
@@ -97,6 +127,14 @@ class IncentiveCalculationService {
         deductionReason: options.deductionReason || ''
       };
       
+      // Totals mirror the MonthlySalary pre-save hook so dry runs match saved records
+      const totalIncentive =
+        incentiveBreakdown.baseIncentive +
+        incentiveBreakdown.targetBonus +
+        incentiveBreakdown.serviceTypeBonus +
+        incentiveBreakdown.specialBonus -
+        incentiveBreakdown.deductions;
+
       // Create the result object
       const result = {
         staff: staffId,
@@ -106,7 +144,10 @@ class IncentiveCalculationService {
         baseSalary: category.baseSalary,
         performanceMetrics,
         incentiveBreakdown,
-        incentivePolicy: policyId,
+        totalIncentive,
+        grossSalary: category.baseSalary + totalIncentive,
+        incentivePolicy: policy._id,
+        incentivePolicyVersion: policy.version,
         calculationDetails: {
           formula: policy.formulaDefinition,
           variableValues: variables
@@ -155,7 +196,8 @@ class IncentiveCalculationService {
       totalCreditPoints: 0,
       completedServices: 0,
       targetAchievementPercentage: 0,
-      serviceTypeBreakdown: []
+      serviceTypeBreakdown: [],
+      creditSplits: []
     };
     
     // Process each service
@@ -174,6 +216,17 @@ class IncentiveCalculationService {
           
           // Increment completed services count
           metrics.completedServices++;
+
+          // Record this technician's part of a shared job
+          const shares = Service.calculateCreditShares(serviceItem.technicians);
+          metrics.creditSplits.push({
+            service: service._id,
+            serviceItem: serviceItem._id,
+            serviceType: serviceType._id,
+            technicianCount: serviceItem.technicians.length,
+            contributionShare: Math.round(shares.get(staff._id.toString()) * 10000) / 100,
+            creditPoints: technicianInfo.creditPoints || 0
+          });
           
           // Update service type breakdown
           const existingBreakdown = metrics.serviceTypeBreakdown.find(
@@ -210,21 +263,8 @@ class IncentiveCalculationService {
    * @returns {number} - Base incentive amount
    */
   static calculateBaseIncentive(variables, policy) {
-    try {
-      // Use mathjs to safely evaluate the formula
-      const formula = policy.formulaDefinition;
-      
-      // Create a scope with all the variables
-      const scope = { ...variables };
-      
-      // Evaluate the formula
-      const result = mathjs.evaluate(formula, scope);
-      
-      return Math.max(0, result); // Ensure non-negative result
-    } catch (error) {
-      console.error('Error calculating base incentive:', error);
-      return 0;
-    }
+    // Evaluated by the shared sandboxed formula engine; errors resolve to 0
+    return Math.max(0, policy.calculateIncentive(variables)); // Ensure non-negative result
   }
   
   /**
@@ -303,6 +343,14 @@ class IncentiveCalculationService {
       });
       
       if (monthlySalary) {
+        // Records in a payroll run change only while the run is a draft
+        if (monthlySalary.payrollRun) {
+          const run = await PayrollRun.findById(monthlySalary.payrollRun).select('status');
+          if (run && run.status !== 'draft') {
+            throw new ErrorResponse(`Monthly salary belongs to a payroll run that is ${run.status}; reopen the run to recalculate it`, 400);
+          }
+        }
+        
         // Update existing record
         Object.assign(monthlySalary, incentiveData);
         monthlySalary.updatedBy = actionBy;
@@ -0,0 +1,297 @@
+//routes/InspectionService.js
+const Inspection = require('../models/Inspection');
+const InspectionTemplate = require('../models/InspectionTemplate');
+const Quote = require('../models/Quote');
+const Service = require('../models/Service');
+const Vehicle = require('../models/Vehicle');
+const { ErrorResponse } = require('../middleware/error');
+const PricingService = require('./PricingService');
+const QuoteService = require('./QuoteService');
+const ServiceItemWorkflow = require('./ServiceItemWorkflow');
+
+const RESULTS = ['pass', 'advisory', 'fail'];
+
+// Results that call for follow-up work
+const FOLLOW_UP_RESULTS = ['advisory', 'fail'];
+
+const isSet = value => value !== undefined && value !== null;
+
+class InspectionService {
+  /**
+   * Grade a measurement against the item's thresholds
+   * @param {object} item - Inspection item with thresholds
+   * @param {number} value - Measured value
+   * @returns {string|null} - pass, advisory or fail; null if the item has no thresholds
+   */
+  static gradeMeasurement(item, value) {
+    const limits = item.thresholds || {};
+    if (![limits.failBelow, limits.advisoryBelow, limits.advisoryAbove, limits.failAbove].some(isSet)) {
+      return null;
+    }
+
+    if ((isSet(limits.failBelow) && value < limits.failBelow) ||
+        (isSet(limits.failAbove) && value > limits.failAbove)) {
+      return 'fail';
+    }
+
+    if ((isSet(limits.advisoryBelow) && value < limits.advisoryBelow) ||
+        (isSet(limits.advisoryAbove) && value > limits.advisoryAbove)) {
+      return 'advisory';
+    }
+
+    return 'pass';
+  }
+
+  /**
+   * Start an inspection of a service's vehicle from a checklist template
+   * @param {object} service - Service
+   * @param {string} templateId - Inspection template ID
+   * @param {string} userId - User starting the inspection
+   * @returns {Promise<object>} - Created inspection
+   */
+  static async start(service, templateId, userId) {
+    if (service.status === 'cancelled') {
+      throw new ErrorResponse('Cannot inspect a cancelled service', 400);
+    }
+
+    const template = await InspectionTemplate.findById(templateId);
+    if (!template || !template.isActive) {
+      throw new ErrorResponse(`Inspection template not found with id of ${templateId}`, 404);
+    }
+
+    return Inspection.create({
+      service: service._id,
+      vehicle: service.vehicle,
+      branch: service.branch,
+      template: template._id,
+      name: template.name,
+      items: template.items.map(item => ({
+        templateItem: item._id,
+        label: item.label,
+        section: item.section,
+        kind: item.kind,
+        unit: item.unit,
+        thresholds: item.toObject().thresholds,
+        recommendedServiceType: item.recommendedServiceType,
+        recommendation: item.recommendation
+      })),
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Record results for checklist items. Measurements are graded from the thresholds
+   * unless a result is given explicitly.
+   * @param {object} inspection - Inspection
+   * @param {Array} results - [{ item, result, measurement, notes }]
+   * @param {string} userId - User recording the results
+   * @returns {Promise<object>} - Updated inspection
+   */
+  static async recordResults(inspection, results = [], userId) {
+    if (inspection.status !== 'in_progress') {
+      throw new ErrorResponse('Results cannot be changed on a completed inspection', 400);
+    }
+
+    if (!Array.isArray(results) || results.length === 0) {
+      throw new ErrorResponse('Please provide results for at least one checklist item', 400);
+    }
+
+    const now = new Date();
+
+    results.forEach(entry => {
+      const item = inspection.items.id(entry.item);
+      if (!item) {
+        throw new ErrorResponse(`Checklist item not found with id of ${entry.item}`, 404);
+      }
+
+      let result = entry.result;
+
+      if (isSet(entry.measurement) && entry.measurement !== '') {
+        if (item.kind !== 'measurement') {
+          throw new ErrorResponse(`${item.label} is a check, not a measurement`, 400);
+        }
+
+        const measurement = Number(entry.measurement);
+        if (!Number.isFinite(measurement)) {
+          throw new ErrorResponse(`Please provide a valid measurement for ${item.label}`, 400);
+        }
+
+        item.measurement = measurement;
+        result = result || this.gradeMeasurement(item, measurement);
+      }
+
+      if (!RESULTS.includes(result)) {
+        throw new ErrorResponse(`Please provide a result for ${item.label}: ${RESULTS.join(', ')}`, 400);
+      }
+
+      item.result = result;
+      if (entry.notes !== undefined) {
+        item.notes = entry.notes;
+      }
+      item.checkedBy = userId;
+      item.checkedAt = now;
+    });
+
+    await inspection.save();
+    return inspection;
+  }
+
+  /**
+   * Sign off an inspection once every item has a result
+   * @param {object} inspection - Inspection
+   * @param {string} userId - User completing the inspection
+   * @returns {Promise<object>} - Updated inspection
+   */
+  static async complete(inspection, userId) {
+    if (inspection.status !== 'in_progress') {
+      throw new ErrorResponse('Inspection is already completed', 400);
+    }
+
+    const unchecked = inspection.items.filter(item => item.result === 'pending');
+    if (unchecked.length > 0) {
+      throw new ErrorResponse(`Record a result for: ${unchecked.map(item => item.label).join(', ')}`, 400);
+    }
+
+    inspection.status = 'completed';
+    inspection.completedAt = new Date();
+    inspection.completedBy = userId;
+    await inspection.save();
+    return inspection;
+  }
+
+  /**
+   * Failed or advisory items to raise follow-up work for: the ones asked for, or all
+   * of them that have a recommended service type and no follow-up yet
+   * @param {object} inspection - Inspection
+   * @param {Array<string>} itemIds - Inspection item IDs (optional)
+   * @returns {Array} - Inspection items
+   */
+  static getFollowUpItems(inspection, itemIds) {
+    if (inspection.status !== 'completed') {
+      throw new ErrorResponse('Complete the inspection before raising follow-up work', 400);
+    }
+
+    const hasFollowUp = item => Boolean(item.followUp && (item.followUp.serviceItem || item.followUp.quote));
+
+    if (!itemIds || itemIds.length === 0) {
+      const items = inspection.items.filter(item =>
+        FOLLOW_UP_RESULTS.includes(item.result) && item.recommendedServiceType && !hasFollowUp(item)
+      );
+
+      if (items.length === 0) {
+        throw new ErrorResponse('No failed or advisory items are waiting for follow-up work', 400);
+      }
+      return items;
+    }
+
+    return itemIds.map(itemId => {
+      const item = inspection.items.id(itemId);
+      if (!item) {
+        throw new ErrorResponse(`Checklist item not found with id of ${itemId}`, 404);
+      }
+      if (!FOLLOW_UP_RESULTS.includes(item.result)) {
+        throw new ErrorResponse(`${item.label} passed and needs no follow-up`, 400);
+      }
+      if (!item.recommendedServiceType) {
+        throw new ErrorResponse(`${item.label} has no recommended service type`, 400);
+      }
+      if (hasFollowUp(item)) {
+        throw new ErrorResponse(`Follow-up work has already been raised for ${item.label}`, 400);
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Service item proposed for a failed or advisory checklist item
+   * @param {object} item - Inspection item
+   * @returns {object} - { serviceType, description }
+   */
+  static toServiceItem(item) {
+    const finding = isSet(item.measurement) ? `${item.label} ${item.measurement}${item.unit ? ` ${item.unit}` : ''}` : item.label;
+
+    return {
+      serviceType: item.recommendedServiceType,
+      description: `${item.recommendation || 'Inspection follow-up'} (${finding}: ${item.result})`
+    };
+  }
+
+  /**
+   * Add recommended work to the inspected service. On a job already in progress the
+   * items wait for customer approval like any other extra work.
+   * @param {object} inspection - Inspection
+   * @param {Array<string>} itemIds - Inspection item IDs (optional)
+   * @param {object} user - User raising the work
+   * @returns {Promise<Array>} - Added service items
+   */
+  static async addToService(inspection, itemIds, user) {
+    const items = this.getFollowUpItems(inspection, itemIds);
+
+    const service = await Service.findById(inspection.service);
+    if (!service) {
+      throw new ErrorResponse(`Service not found with id of ${inspection.service}`, 404);
+    }
+
+    if (['completed', 'cancelled'].includes(service.status)) {
+      throw new ErrorResponse(`The service is ${service.status}; raise a quote for the follow-up work instead`, 400);
+    }
+
+    const vehicle = await Vehicle.findById(service.vehicle);
+    const pricingSettings = await PricingService.getPricingSettings();
+    const added = [];
+
+    for (const item of items) {
+      const serviceItem = ServiceItemWorkflow.sanitizeNewItem(this.toServiceItem(item));
+      if (service.status === 'in_progress') {
+        ServiceItemWorkflow.requireApproval(serviceItem, user.id);
+      }
+      await PricingService.priceServiceItem(serviceItem, vehicle, user, pricingSettings);
+      serviceItem.parts = [];
+
+      service.serviceItems.push(serviceItem);
+      const created = service.serviceItems[service.serviceItems.length - 1];
+      item.followUp = { serviceItem: created._id };
+      added.push(created);
+    }
+
+    await service.save();
+    await inspection.save();
+
+    return added;
+  }
+
+  /**
+   * Raise a draft quote for the recommended work, to send to the customer later
+   * @param {object} inspection - Inspection
+   * @param {Array<string>} itemIds - Inspection item IDs (optional)
+   * @param {object} user - User raising the quote
+   * @returns {Promise<object>} - Created quote
+   */
+  static async createQuote(inspection, itemIds, user) {
+    const items = this.getFollowUpItems(inspection, itemIds);
+
+    const vehicle = await Vehicle.findById(inspection.vehicle);
+    if (!vehicle) {
+      throw new ErrorResponse(`Vehicle not found with id of ${inspection.vehicle}`, 404);
+    }
+
+    const quote = await Quote.create({
+      branch: inspection.branch,
+      vehicle: vehicle._id,
+      inspection: inspection._id,
+      serviceItems: await QuoteService.buildItems(items.map(item => this.toServiceItem(item)), vehicle, user),
+      validUntil: await QuoteService.getDefaultValidUntil(),
+      notes: `Recommended from inspection ${inspection.name}`,
+      createdBy: user.id
+    });
+
+    items.forEach(item => {
+      item.followUp = { quote: quote._id };
+    });
+    await inspection.save();
+
+    return quote;
+  }
+}
+
+module.exports = InspectionService;
@@ -0,0 +1,172 @@
+//routes/InventoryService.js
+const Part = require('../models/Part');
+const PartStock = require('../models/PartStock');
+const { ErrorResponse } = require('../middleware/error');
+
+/**
+ * Part quantity as a positive whole number
+ * @param {object} entry - Part entry
+ * @returns {number} - Quantity
+ */
+const parseQuantity = (entry) => {
+  const quantity = typeof entry.quantity === 'string' && entry.quantity.trim() !== ''
+    ? Number(entry.quantity)
+    : entry.quantity;
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new ErrorResponse(`Quantity for ${entry.name || entry.part || 'part'} must be a positive whole number`, 400);
+  }
+
+  return quantity;
+};
+
+class InventoryService {
+  /**
+   * Fill in catalogue details for service item parts that reference a Part. Parts
+   * outside the catalogue are charged at the entered cost plus the default markup.
+   * @param {Array} parts - Parts as sent by the client
+   * @param {object} pricingSettings - From PricingService.getPricingSettings
+   * @returns {Promise<Array>} - Parts with name, unit cost and total cost set
+   */
+  static async prepareParts(parts = [], pricingSettings = {}) {
+    const prepared = [];
+    const markup = pricingSettings.partMarkupPercentage || 0;
+
+    for (const entry of parts) {
+      const quantity = parseQuantity(entry);
+
+      if (!entry.part) {
+        const unitCost = Math.round((Number(entry.unitCost) || 0) * (1 + markup / 100) * 100) / 100;
+        prepared.push({
+          ...entry,
+          quantity,
+          unitCost,
+          totalCost: quantity * unitCost,
+          stockStatus: 'untracked'
+        });
+        continue;
+      }
+
+      const part = await Part.findById(entry.part);
+      if (!part || !part.isActive) {
+        throw new ErrorResponse(`Part not found with id of ${entry.part}`, 404);
+      }
+
+      prepared.push({
+        part: part._id,
+        name: part.name,
+        quantity,
+        unitCost: part.sellPrice,
+        totalCost: quantity * part.sellPrice,
+        stockStatus: 'untracked'
+      });
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Reserve branch stock for catalogue parts. All-or-nothing: if one part is short,
+   * reservations already made in this call are released again.
+   * @param {string} branchId - Branch ID
+   * @param {Array} parts - Service item parts (subdocuments or plain objects)
+   * @returns {Promise<Array>} - The same parts, marked as reserved
+   */
+  static async reserveParts(branchId, parts = []) {
+    const reserved = [];
+
+    // Check every quantity first so nothing is reserved for an invalid request
+    parts
+      .filter(entry => entry.part && entry.stockStatus === 'untracked')
+      .forEach(parseQuantity);
+
+    for (const entry of parts) {
+      if (!entry.part || entry.stockStatus !== 'untracked') continue;
+
+      const stock = await PartStock.findOneAndUpdate(
+        {
+          part: entry.part,
+          branch: branchId,
+          $expr: {
+            $gte: [{ $subtract: ['$quantityOnHand', '$quantityReserved'] }, entry.quantity]
+          }
+        },
+        { $inc: { quantityReserved: entry.quantity } },
+        { new: true }
+      );
+
+      if (!stock) {
+        await this.releaseParts(branchId, reserved);
+        throw new ErrorResponse(`Insufficient stock for ${entry.name} at this branch`, 400);
+      }
+
+      entry.stockStatus = 'reserved';
+      reserved.push(entry);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Return reserved stock for parts that will not be used
+   * @param {string} branchId - Branch ID
+   * @param {Array} parts - Service item parts
+   */
+  static async releaseParts(branchId, parts = []) {
+    for (const entry of parts) {
+      if (!entry.part || entry.stockStatus !== 'reserved') continue;
+
+      await PartStock.updateOne(
+        { part: entry.part, branch: branchId },
+        { $inc: { quantityReserved: -entry.quantity } }
+      );
+      entry.stockStatus = 'released';
+    }
+  }
+
+  /**
+   * Deduct reserved stock for parts fitted on a completed service item
+   * @param {string} branchId - Branch ID
+   * @param {Array} parts - Service item parts
+   */
+  static async consumeParts(branchId, parts = []) {
+    for (const entry of parts) {
+      if (!entry.part || entry.stockStatus !== 'reserved') continue;
+
+      await PartStock.updateOne(
+        { part: entry.part, branch: branchId },
+        { $inc: { quantityOnHand: -entry.quantity, quantityReserved: -entry.quantity } }
+      );
+      entry.stockStatus = 'consumed';
+    }
+  }
+
+  /**
+   * Put consumed parts back on the shelf (e.g. when a completed item is cancelled)
+   * @param {string} branchId - Branch ID
+   * @param {Array} parts - Service item parts
+   */
+  static async returnParts(branchId, parts = []) {
+    for (const entry of parts) {
+      if (!entry.part || entry.stockStatus !== 'consumed') continue;
+
+      await PartStock.updateOne(
+        { part: entry.part, branch: branchId },
+        { $inc: { quantityOnHand: entry.quantity } }
+      );
+      entry.stockStatus = 'released';
+    }
+  }
+
+  /**
+   * Release or return stock for every part on a service item, whatever its state
+   * @param {string} branchId - Branch ID
+   * @param {Array} parts - Service item parts
+   */
+  static async restockParts(branchId, parts = []) {
+    await this.releaseParts(branchId, parts);
+    await this.returnParts(branchId, parts);
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,313 @@
+//routes/InvoiceService.js
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Service = require('../models/Service');
+const Branch = require('../models/Branch');
+const Settings = require('../models/Settings');
+const { ErrorResponse } = require('../middleware/error');
+
+// Attempts at claiming the next sequence number before giving up
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  /**
+   * Build invoice line items from the labor and parts of a service
+   * @param {object} service - Service with populated service types
+   * @returns {Array} - Line items
+   */
+  static buildLineItems(service) {
+    const lineItems = [];
+
+    for (const item of service.serviceItems) {
+      // Extra work still awaiting approval is not billed
+      if (['cancelled', 'pending_approval'].includes(item.status)) continue;
+
+      const serviceTypeName = item.serviceType && item.serviceType.name;
+      lineItems.push({
+        type: 'labor',
+        description: serviceTypeName
+          ? `${serviceTypeName}: ${item.description} (${item.laborHours} h)`
+          : `${item.description} (${item.laborHours} h)`,
+        quantity: 1,
+        unitPrice: item.laborCost,
+        amount: round2(item.laborCost),
+        serviceItem: item._id
+      });
+
+      for (const part of item.parts) {
+        lineItems.push({
+          type: 'part',
+          description: part.name,
+          quantity: part.quantity,
+          unitPrice: part.unitCost,
+          amount: round2(part.quantity * part.unitCost),
+          serviceItem: item._id
+        });
+      }
+    }
+
+    return lineItems;
+  }
+
+  /**
+   * Calculate subtotal, discount, tax and total
+   * @param {Array} lineItems - Invoice line items
+   * @param {object} discount - { type: 'amount'|'percent', value, reason }
+   * @param {number} taxRate - Tax rate as a percentage
+   * @returns {object} - Invoice totals
+   */
+  static calculateTotals(lineItems, discount = {}, taxRate = 0) {
+    const subtotal = round2(lineItems.reduce((total, line) => total + line.amount, 0));
+
+    const discountValue = Number(discount.value) || 0;
+    const discountAmount = discount.type === 'percent'
+      ? round2(subtotal * Math.min(discountValue, 100) / 100)
+      : round2(Math.min(discountValue, subtotal));
+
+    const taxableAmount = subtotal - discountAmount;
+    const taxAmount = round2(taxableAmount * taxRate / 100);
+
+    return {
+      subtotal,
+      discount: {
+        type: discount.type || 'amount',
+        value: discountValue,
+        amount: discountAmount,
+        reason: discount.reason
+      },
+      taxAmount,
+      total: round2(taxableAmount + taxAmount)
+    };
+  }
+
+  /**
+   * Format an invoice number from the branch prefix and sequence
+   * @param {object} branch - Branch
+   * @param {number} sequence - Sequence number
+   * @returns {string} - Invoice number
+   */
+  static formatNumber(branch, sequence) {
+    return `${branch.invoicePrefix || 'INV'}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Issue an invoice for a completed service. Numbers are taken from the highest
+   * existing sequence for the branch and the unique index rejects concurrent duplicates,
+   * so no number is ever skipped.
+   * @param {string} serviceId - Service ID
+   * @param {object} options - { discount, notes }
+   * @param {object} user - User issuing the invoice
+   * @returns {Promise<object>} - Issued invoice
+   */
+  static async issueInvoice(serviceId, options = {}, user) {
+    const service = await Service.findById(serviceId)
+      .populate('vehicle')
+      .populate('serviceItems.serviceType', 'name');
+
+    if (!service) {
+      throw new ErrorResponse(`Service not found with id of ${serviceId}`, 404);
+    }
+
+    // Make sure user is admin or from the same branch
+    if (user.role !== 'admin' && service.branch.toString() !== user.branch.toString()) {
+      throw new ErrorResponse('Not authorized to invoice this service', 403);
+    }
+
+    if (service.status !== 'completed') {
+      throw new ErrorResponse('Invoices can only be issued for completed services', 400);
+    }
+
+    const existing = await Invoice.findOne({ service: service._id, status: 'issued' });
+    if (existing) {
+      throw new ErrorResponse(`Service already has invoice ${existing.invoiceNumber}; void it first`, 400);
+    }
+
+    const branch = await Branch.findById(service.branch);
+    const settings = await Settings.findOne().sort({ createdAt: -1 });
+    const billing = (settings && settings.billing) || {};
+    const company = (settings && settings.company) || {};
+    const vehicle = service.vehicle;
+
+    const lineItems = this.buildLineItems(service);
+    const taxRate = billing.taxRate || 0;
+    // Warranty work is shown at full price and written off, so the customer owes nothing
+    const discount = service.isWarrantyClaim
+      ? { type: 'percent', value: 100, reason: 'Warranty claim' }
+      : options.discount;
+    const totals = this.calculateTotals(lineItems, discount, taxRate);
+
+    const invoiceData = {
+      branch: branch._id,
+      service: service._id,
+      vehicle: vehicle._id,
+      company: {
+        name: company.name,
+        email: company.email,
+        phone: company.phone,
+        address: company.address,
+        website: company.website,
+        taxId: company.taxId
+      },
+      customer: {
+        name: vehicle.owner.name,
+        phone: vehicle.owner.phone,
+        email: vehicle.owner.email,
+        address: vehicle.owner.address
+      },
+      vehicleDetails: {
+        registrationNumber: vehicle.registrationNumber,
+        make: vehicle.make,
+        model: vehicle.model,
+        year: vehicle.year,
+        mileage: service.mileageAtService
+      },
+      lineItems,
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      tax: {
+        name: billing.taxName || 'Tax',
+        rate: taxRate,
+        amount: totals.taxAmount
+      },
+      total: totals.total,
+      currency: billing.currency || 'USD',
+      terms: billing.invoiceTerms,
+      footer: billing.invoiceFooter,
+      notes: options.notes,
+      issuedBy: user.id
+    };
+
+    for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt++) {
+      const last = await Invoice.findOne({ branch: branch._id }).sort({ sequence: -1 }).select('sequence');
+      const sequence = last ? last.sequence + 1 : 1;
+
+      let invoice;
+      try {
+        invoice = await Invoice.create({
+          ...invoiceData,
+          sequence,
+          invoiceNumber: this.formatNumber(branch, sequence)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // A concurrent request issued an invoice for this service first
+        if (error.keyPattern && error.keyPattern.service) {
+          throw new ErrorResponse('Service already has an issued invoice; void it first', 400);
+        }
+
+        // Another invoice took this number first; try the next one
+        continue;
+      }
+
+      // The invoice total (after discount and tax) becomes the amount owed
+      service.invoice = invoice._id;
+      service.invoicedAmount = invoice.total;
+      await service.save();
+
+      return invoice;
+    }
+
+    throw new ErrorResponse('Could not allocate an invoice number, please try again', 409);
+  }
+
+  /**
+   * Render an invoice as a PDF into a writable stream
+   * @param {object} invoice - Invoice
+   * @param {object} stream - Writable stream (e.g. the HTTP response)
+   */
+  static renderPdf(invoice, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const money = value => `${invoice.currency} ${value.toFixed(2)}`;
+    const formatAddress = address => (address
+      ? [address.street, address.city, address.state, address.zipCode, address.country].filter(Boolean).join(', ')
+      : '');
+
+    doc.pipe(stream);
+
+    // Header
+    doc.fontSize(18).text(invoice.company.name || 'Invoice', { align: 'left' });
+    doc.fontSize(9)
+      .text(formatAddress(invoice.company.address))
+      .text([invoice.company.phone, invoice.company.email].filter(Boolean).join(' | '));
+    if (invoice.company.taxId) {
+      doc.text(`Tax ID: ${invoice.company.taxId}`);
+    }
+
+    doc.moveDown();
+    doc.fontSize(14).text(invoice.status === 'void' ? 'INVOICE (VOID)' : 'INVOICE');
+    doc.fontSize(10)
+      .text(`Invoice number: ${invoice.invoiceNumber}`)
+      .text(`Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`);
+
+    // Customer and vehicle
+    doc.moveDown();
+    doc.fontSize(10)
+      .text(`Bill to: ${invoice.customer.name || ''}`)
+      .text(formatAddress(invoice.customer.address))
+      .text([invoice.customer.phone, invoice.customer.email].filter(Boolean).join(' | '));
+    doc.moveDown(0.5)
+      .text(`Vehicle: ${invoice.vehicleDetails.registrationNumber} - ${invoice.vehicleDetails.year || ''} ${invoice.vehicleDetails.make || ''} ${invoice.vehicleDetails.model || ''}`)
+      .text(`Mileage: ${invoice.vehicleDetails.mileage || ''}`);
+
+    // Line items
+    doc.moveDown();
+    const columns = { description: 50, quantity: 330, unitPrice: 380, amount: 470 };
+    let y = doc.y;
+    doc.fontSize(9).font('Helvetica-Bold');
+    doc.text('Description', columns.description, y);
+    doc.text('Qty', columns.quantity, y);
+    doc.text('Unit price', columns.unitPrice, y);
+    doc.text('Amount', columns.amount, y);
+    doc.font('Helvetica');
+
+    for (const line of invoice.lineItems) {
+      y = doc.y + 4;
+      if (y > doc.page.height - 150) {
+        doc.addPage();
+        y = doc.y;
+      }
+      doc.text(line.description, columns.description, y, { width: 270 });
+      const rowEnd = doc.y;
+      doc.text(String(line.quantity), columns.quantity, y);
+      doc.text(line.unitPrice.toFixed(2), columns.unitPrice, y);
+      doc.text(line.amount.toFixed(2), columns.amount, y);
+      doc.y = Math.max(rowEnd, doc.y);
+    }
+
+    // Totals
+    doc.moveDown();
+    const totalsX = columns.unitPrice;
+    const addTotal = (label, value) => {
+      const rowY = doc.y;
+      doc.text(label, totalsX, rowY);
+      doc.text(money(value), columns.amount, rowY);
+    };
+    addTotal('Subtotal', invoice.subtotal);
+    if (invoice.discount && invoice.discount.amount > 0) {
+      addTotal('Discount', -invoice.discount.amount);
+    }
+    addTotal(`${invoice.tax.name} (${invoice.tax.rate}%)`, invoice.tax.amount);
+    doc.font('Helvetica-Bold');
+    addTotal('Total', invoice.total);
+    doc.font('Helvetica');
+
+    if (invoice.status === 'void' && invoice.voidDetails) {
+      doc.moveDown().text(`Voided on ${invoice.voidDetails.date.toISOString().slice(0, 10)}: ${invoice.voidDetails.reason || ''}`, 50);
+    }
+
+    if (invoice.terms) {
+      doc.moveDown().fontSize(8).text(invoice.terms, 50);
+    }
+
+    if (invoice.footer) {
+      doc.moveDown().fontSize(8).text(invoice.footer, 50, doc.y, { align: 'center' });
+    }
+
+    doc.end();
+  }
+}
+
+module.exports = InvoiceService;
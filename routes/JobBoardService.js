@@ -0,0 +1,186 @@
+//routes/JobBoardService.js
+const Branch = require('../models/Branch');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const { ErrorResponse } = require('../middleware/error');
+
+// Item statuses shown on the board, in column order
+const BOARD_STATUSES = ['pending', 'in_progress', 'paused'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+class JobBoardService {
+  /**
+   * Hours actually worked on an item: time between each start and the following
+   * pause/complete/cancel in the status history, with an open interval running to now.
+   * Items without history (created before it was recorded) count from startTime.
+   * @param {object} serviceItem - Service item
+   * @param {Date} now - Current time
+   * @returns {number} - Elapsed hours
+   */
+  static getElapsedHours(serviceItem, now) {
+    const history = serviceItem.statusHistory || [];
+
+    if (history.length === 0) {
+      return serviceItem.startTime && serviceItem.status === 'in_progress'
+        ? (now - serviceItem.startTime) / 3600000
+        : 0;
+    }
+
+    let elapsed = 0;
+    let runningSince = null;
+
+    for (const entry of history) {
+      if (entry.to === 'in_progress' && !runningSince) {
+        runningSince = entry.date;
+      } else if (entry.to !== 'in_progress' && runningSince) {
+        elapsed += entry.date - runningSince;
+        runningSince = null;
+      }
+    }
+
+    if (runningSince) {
+      elapsed += now - runningSince;
+    }
+
+    return elapsed / 3600000;
+  }
+
+  /**
+   * Build a board card for one open service item
+   * @param {object} service - Service with populated vehicle, service types and technicians
+   * @param {object} serviceItem - Service item
+   * @param {Date} now - Current time
+   * @returns {object} - Card
+   */
+  static buildCard(service, serviceItem, now) {
+    const serviceType = serviceItem.serviceType || {};
+    const elapsedHours = this.getElapsedHours(serviceItem, now);
+    const estimatedHours = serviceType.estimatedTime || null;
+    const overrun = estimatedHours !== null && elapsedHours > estimatedHours;
+
+    return {
+      serviceId: service._id,
+      serviceItemId: serviceItem._id,
+      status: serviceItem.status,
+      description: serviceItem.description,
+      serviceType: serviceType.name,
+      vehicle: service.vehicle ? {
+        _id: service.vehicle._id,
+        registrationNumber: service.vehicle.registrationNumber,
+        make: service.vehicle.make,
+        model: service.vehicle.model
+      } : null,
+      technicians: serviceItem.technicians
+        .filter(tech => tech.technician)
+        .map(tech => ({
+          _id: tech.technician._id,
+          fullName: `${tech.technician.firstName} ${tech.technician.lastName}`
+        })),
+      startTime: serviceItem.startTime,
+      estimatedCompletionDate: service.estimatedCompletionDate,
+      elapsedHours: round2(elapsedHours),
+      estimatedHours,
+      remainingHours: estimatedHours !== null ? round2(Math.max(0, estimatedHours - elapsedHours)) : null,
+      overrun,
+      overrunHours: overrun ? round2(elapsedHours - estimatedHours) : 0
+    };
+  }
+
+  /**
+   * Open service items of a branch grouped by technician and status
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<object>} - { branch, generatedAt, summary, technicians, unassigned }
+   */
+  static async getBoard(branchId) {
+    const branch = await Branch.findById(branchId);
+    if (!branch) {
+      throw new ErrorResponse(`Branch not found with id of ${branchId}`, 404);
+    }
+
+    const now = new Date();
+
+    const services = await Service.find({
+      branch: branch._id,
+      status: { $in: ['pending', 'in_progress'] }
+    })
+      .populate('vehicle', 'registrationNumber make model')
+      .populate('serviceItems.serviceType', 'name estimatedTime')
+      .populate('serviceItems.technicians.technician', 'firstName lastName')
+      .sort({ startDate: 1 });
+
+    // Every active technician gets a lane, so idle staff are visible for dispatch
+    const staff = await User.find({ branch: branch._id, role: 'staff', status: 'active' })
+      .select('firstName lastName')
+      .sort({ firstName: 1 });
+
+    const emptyColumns = () => BOARD_STATUSES.reduce((columns, status) => {
+      columns[status] = [];
+      return columns;
+    }, {});
+
+    const lanes = new Map(staff.map(user => [user._id.toString(), {
+      technician: { _id: user._id, fullName: `${user.firstName} ${user.lastName}` },
+      items: emptyColumns(),
+      openItems: 0,
+      overrunItems: 0
+    }]));
+
+    const unassigned = [];
+    const summary = {
+      openItems: 0,
+      pending: 0,
+      in_progress: 0,
+      paused: 0,
+      unassigned: 0,
+      overrun: 0
+    };
+
+    for (const service of services) {
+      for (const serviceItem of service.serviceItems) {
+        if (!BOARD_STATUSES.includes(serviceItem.status)) continue;
+
+        const card = this.buildCard(service, serviceItem, now);
+
+        summary.openItems += 1;
+        summary[serviceItem.status] += 1;
+        if (card.overrun) summary.overrun += 1;
+
+        if (card.technicians.length === 0) {
+          summary.unassigned += 1;
+          unassigned.push(card);
+          continue;
+        }
+
+        for (const technician of card.technicians) {
+          const id = technician._id.toString();
+
+          // Technicians from another branch or no longer active still get a lane
+          if (!lanes.has(id)) {
+            lanes.set(id, {
+              technician,
+              items: emptyColumns(),
+              openItems: 0,
+              overrunItems: 0
+            });
+          }
+
+          const lane = lanes.get(id);
+          lane.items[serviceItem.status].push(card);
+          lane.openItems += 1;
+          if (card.overrun) lane.overrunItems += 1;
+        }
+      }
+    }
+
+    return {
+      branch: { _id: branch._id, name: branch.name },
+      generatedAt: now,
+      summary,
+      technicians: Array.from(lanes.values()),
+      unassigned
+    };
+  }
+}
+
+module.exports = JobBoardService;
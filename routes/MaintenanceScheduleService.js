@@ -0,0 +1,227 @@
+//routes/MaintenanceScheduleService.js
+const MaintenancePlan = require('../models/MaintenancePlan');
+const Vehicle = require('../models/Vehicle');
+
+const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const minOf = values => {
+  const defined = values.filter(value => value !== undefined && value !== null);
+  return defined.length > 0 ? defined.reduce((min, value) => (value < min ? value : min)) : undefined;
+};
+
+class MaintenanceScheduleService {
+  /**
+   * Add calendar months to a date, staying within the target month (Jan 31 + 1 = Feb 28)
+   * @param {Date} date - Start date
+   * @param {number} months - Months to add
+   * @returns {Date} - New date
+   */
+  static addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+  }
+
+  /**
+   * Most specific active maintenance plan for a vehicle
+   * @param {object} vehicle - Vehicle
+   * @returns {Promise<object|null>} - Plan, or null when none applies
+   */
+  static async findPlan(vehicle) {
+    const plans = await MaintenancePlan.find({ isActive: true }).sort({ updatedAt: -1 });
+
+    let best = null;
+    let bestScore = -1;
+
+    for (const plan of plans) {
+      const { make, model, type } = plan.appliesTo || {};
+
+      if (make && !sameText(make, vehicle.make)) continue;
+      if (model && !sameText(model, vehicle.model)) continue;
+      if (type && type !== vehicle.type) continue;
+
+      const score = (model ? 4 : 0) + (make ? 2 : 0) + (type ? 1 : 0);
+      if (score > bestScore) {
+        best = plan;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Update a vehicle after a service is completed: mileage and last service come from
+   * the service, and each planned service type is due again N km or M months after it
+   * was last done. Service types never done here count from the first visit after
+   * they were planned, so later visits for other work do not push them back.
+   * @param {object} service - Completed service
+   * @returns {Promise<object|null>} - Updated vehicle
+   */
+  static async recordCompletedService(service) {
+    const vehicle = await Vehicle.findById(service.vehicle);
+    if (!vehicle) return null;
+
+    const doneAt = service.completionDate || new Date();
+    const mileage = service.mileageAtService;
+
+    vehicle.status = 'active';
+    vehicle.lastService = doneAt;
+    if (mileage !== undefined && mileage !== null && mileage > (vehicle.mileage || 0)) {
+      vehicle.mileage = mileage;
+    }
+
+    const doneTypes = new Set(
+      service.serviceItems
+        .filter(item => item.status === 'completed')
+        .map(item => (item.serviceType._id || item.serviceType).toString())
+    );
+
+    const plan = await this.findPlan(vehicle);
+    if (plan) {
+      const planned = [];
+
+      for (const interval of plan.intervals) {
+        const serviceTypeId = interval.serviceType.toString();
+        let entry = vehicle.maintenanceSchedule.find(item => item.serviceType.toString() === serviceTypeId);
+        if (!entry) {
+          vehicle.maintenanceSchedule.push({ serviceType: interval.serviceType });
+          entry = vehicle.maintenanceSchedule[vehicle.maintenanceSchedule.length - 1];
+        }
+
+        if (doneTypes.has(serviceTypeId)) {
+          entry.lastDoneAt = doneAt;
+          entry.lastDoneMileage = mileage;
+        }
+
+        // Anchor a never-done service type once, on the first visit that knows the value
+        if (!entry.trackedSince) {
+          entry.trackedSince = doneAt;
+        }
+        if ((entry.trackedSinceMileage === undefined || entry.trackedSinceMileage === null) &&
+          mileage !== undefined && mileage !== null) {
+          entry.trackedSinceMileage = mileage;
+        }
+
+        const baseDate = entry.lastDoneAt || entry.trackedSince;
+        const baseMileage = entry.lastDoneMileage !== undefined && entry.lastDoneMileage !== null
+          ? entry.lastDoneMileage
+          : entry.trackedSinceMileage;
+
+        entry.nextDueDate = interval.everyMonths ? this.addMonths(baseDate, interval.everyMonths) : undefined;
+        entry.nextDueMileage = interval.everyKm && baseMileage !== undefined && baseMileage !== null
+          ? baseMileage + interval.everyKm
+          : undefined;
+
+        planned.push(entry);
+      }
+
+      vehicle.nextServiceDue = minOf(planned.map(entry => entry.nextDueDate));
+      vehicle.nextServiceDueMileage = minOf(planned.map(entry => entry.nextDueMileage));
+    }
+
+    await vehicle.save();
+    return vehicle;
+  }
+
+  /**
+   * Classify a due date and mileage
+   * @param {Date} dueDate - Due date
+   * @param {number} dueMileage - Due mileage
+   * @param {number} mileage - Current vehicle mileage
+   * @param {object} window - { now, horizon, km }
+   * @returns {string|null} - overdue, upcoming or null
+   */
+  static classify(dueDate, dueMileage, mileage, window) {
+    const hasMileage = dueMileage !== undefined && dueMileage !== null;
+
+    if ((dueDate && dueDate < window.now) || (hasMileage && mileage >= dueMileage)) {
+      return 'overdue';
+    }
+
+    if ((dueDate && dueDate <= window.horizon) || (hasMileage && mileage + window.km >= dueMileage)) {
+      return 'upcoming';
+    }
+
+    return null;
+  }
+
+  /**
+   * Vehicles that are overdue or due soon for maintenance
+   * @param {string} branchId - Branch ID (all branches when omitted)
+   * @param {object} options - { days, km } look-ahead window for upcoming vehicles
+   * @returns {Promise<object>} - { window, overdue, upcoming }
+   */
+  static async getDueForService(branchId, options = {}) {
+    const days = parseInt(options.days, 10) || 30;
+    const km = parseInt(options.km, 10) || 1000;
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const window = { now, horizon, km };
+
+    const query = {
+      status: { $ne: 'inactive' },
+      $or: [
+        { nextServiceDue: { $lte: horizon } },
+        { $expr: { $lte: ['$nextServiceDueMileage', { $add: ['$mileage', km] }] } }
+      ]
+    };
+
+    if (branchId) {
+      query.branch = branchId;
+    }
+
+    const vehicles = await Vehicle.find(query)
+      .populate('branch', 'name')
+      .populate('maintenanceSchedule.serviceType', 'name')
+      .sort({ nextServiceDue: 1 });
+
+    const overdue = [];
+    const upcoming = [];
+
+    for (const vehicle of vehicles) {
+      // $lte on a missing mileage matches in MongoDB, so check again here
+      const status = this.classify(vehicle.nextServiceDue, vehicle.nextServiceDueMileage, vehicle.mileage, window);
+      if (!status) continue;
+
+      const dueItems = vehicle.maintenanceSchedule
+        .map(entry => ({
+          serviceType: entry.serviceType,
+          lastDoneAt: entry.lastDoneAt,
+          lastDoneMileage: entry.lastDoneMileage,
+          nextDueDate: entry.nextDueDate,
+          nextDueMileage: entry.nextDueMileage,
+          status: this.classify(entry.nextDueDate, entry.nextDueMileage, vehicle.mileage, window)
+        }))
+        .filter(entry => entry.status);
+
+      const row = {
+        _id: vehicle._id,
+        registrationNumber: vehicle.registrationNumber,
+        make: vehicle.make,
+        model: vehicle.model,
+        owner: vehicle.owner,
+        branch: vehicle.branch,
+        mileage: vehicle.mileage,
+        lastService: vehicle.lastService,
+        nextServiceDue: vehicle.nextServiceDue,
+        nextServiceDueMileage: vehicle.nextServiceDueMileage,
+        dueItems
+      };
+
+      (status === 'overdue' ? overdue : upcoming).push(row);
+    }
+
+    return {
+      window: { days, km },
+      overdue,
+      upcoming
+    };
+  }
+}
+
+module.exports = MaintenanceScheduleService;
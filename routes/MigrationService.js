@@ -0,0 +1,105 @@
+//routes/MigrationService.js
+const IncentivePolicy = require('../models/IncentivePolicy');
+const AppointmentSlot = require('../models/AppointmentSlot');
+const Vehicle = require('../models/Vehicle');
+
+class MigrationService {
+  /**
+   * Prepare incentive policies created before versioning: drop the unique name index
+   * (new versions reuse the name), start a version chain for every policy and build
+   * the versioning indexes
+   * @returns {Promise<object>} - { droppedNameIndex, policiesKeyed, policiesNumbered }
+   */
+  static async migrateIncentivePolicyVersions() {
+    // A new database has no collection, and so no indexes, yet
+    const indexes = await IncentivePolicy.collection.indexes().catch(() => []);
+    const nameIndex = indexes.find(index => index.name === 'name_1');
+
+    let droppedNameIndex = false;
+    if (nameIndex && nameIndex.unique) {
+      await IncentivePolicy.collection.dropIndex('name_1');
+      droppedNameIndex = true;
+    }
+
+    const numbered = await IncentivePolicy.updateMany(
+      { version: { $exists: false } },
+      { $set: { version: 1 } }
+    );
+
+    const keyed = await IncentivePolicy.updateMany(
+      { policyKey: null },
+      [{ $set: { policyKey: '$_id' } }]
+    );
+
+    await IncentivePolicy.createIndexes();
+
+    return {
+      droppedNameIndex,
+      policiesKeyed: keyed.modifiedCount,
+      policiesNumbered: numbered.modifiedCount
+    };
+  }
+
+  /**
+   * Drop the slot counter index keyed only by start time, which would stop a slot
+   * of a new appointment length from getting its own counter
+   * @returns {Promise<object>} - { droppedStartIndex }
+   */
+  static async migrateAppointmentSlotKeys() {
+    const indexes = await AppointmentSlot.collection.indexes().catch(() => []);
+
+    let droppedStartIndex = false;
+    if (indexes.some(index => index.name === 'branch_1_start_1')) {
+      await AppointmentSlot.collection.dropIndex('branch_1_start_1');
+      droppedStartIndex = true;
+    }
+
+    await AppointmentSlot.createIndexes();
+
+    return { droppedStartIndex };
+  }
+
+  /**
+   * Remove blank VINs saved before they were normalised, which clash in the unique
+   * VIN index. Vehicles sharing a real VIN need fixing by hand, so they are reported
+   * and the index is built only once none are left.
+   * @returns {Promise<object>} - { blankVinsCleared, duplicateVins: [{ vin, vehicles }], vinIndexBuilt }
+   */
+  static async migrateVehicleVins() {
+    // Raw collection, so the VIN setter does not rewrite the filter
+    const cleared = await Vehicle.collection.updateMany(
+      { $or: [{ vin: { $type: 'null' } }, { vin: { $regex: /^\s*$/ } }] },
+      { $unset: { vin: '' } }
+    );
+
+    const duplicates = await Vehicle.aggregate([
+      { $match: { vin: { $type: 'string' } } },
+      { $group: { _id: '$vin', vehicles: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    if (duplicates.length === 0) {
+      await Vehicle.createIndexes();
+    }
+
+    return {
+      blankVinsCleared: cleared.modifiedCount,
+      duplicateVins: duplicates.map(duplicate => ({ vin: duplicate._id, vehicles: duplicate.vehicles })),
+      vinIndexBuilt: duplicates.length === 0
+    };
+  }
+
+  /**
+   * Run every migration; safe to run on each start
+   * @returns {Promise<object>} - Result per migration
+   */
+  static async run() {
+    return {
+      incentivePolicyVersions: await this.migrateIncentivePolicyVersions(),
+      appointmentSlotKeys: await this.migrateAppointmentSlotKeys(),
+      vehicleVins: await this.migrateVehicleVins()
+    };
+  }
+}
+
+module.exports = MigrationService;
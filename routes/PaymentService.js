@@ -0,0 +1,280 @@
+//routes/PaymentService.js
+const Service = require('../models/Service');
+const { ErrorResponse } = require('../middleware/error');
+
+const PAYMENT_METHODS = ['cash', 'credit_card', 'debit_card', 'check', 'bank_transfer'];
+
+// Receivables ageing buckets, by days since the job was billed
+const AGEING_BUCKETS = [
+  { key: 'current', label: '0-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: 'Over 90 days', maxDays: Infinity }
+];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+class PaymentService {
+  /**
+   * Load a service that can take payments from the current user
+   * @param {string} serviceId - Service ID
+   * @param {object} user - Current user
+   * @returns {Promise<object>} - Service
+   */
+  static async getService(serviceId, user) {
+    const service = await Service.findById(serviceId);
+
+    if (!service) {
+      throw new ErrorResponse(`Service not found with id of ${serviceId}`, 404);
+    }
+
+    // Make sure user is admin or from the same branch
+    if (user.role !== 'admin' && service.branch.toString() !== user.branch.toString()) {
+      throw new ErrorResponse('Not authorized to manage payments for this service', 403);
+    }
+
+    return service;
+  }
+
+  /**
+   * Validate a money amount from the request body
+   * @param {*} value - Amount
+   * @returns {number} - Amount rounded to cents
+   */
+  static parseAmount(value) {
+    const amount = round2(Number(value));
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new ErrorResponse('Please provide an amount greater than zero', 400);
+    }
+
+    return amount;
+  }
+
+  /**
+   * Validate a payment method from the request body
+   * @param {string} method - Payment method
+   * @returns {string} - Payment method
+   */
+  static parseMethod(method) {
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw new ErrorResponse(`Payment method must be one of ${PAYMENT_METHODS.join(', ')}`, 400);
+    }
+
+    return method;
+  }
+
+  /**
+   * Amount already refunded against a payment
+   * @param {object} service - Service
+   * @param {object} payment - Payment entry
+   * @returns {number} - Refunded amount
+   */
+  static getRefundedAmount(service, payment) {
+    return round2(service.paymentDetails
+      .filter(entry => entry.type === 'refund' && entry.status !== 'void' &&
+        entry.refundOf && entry.refundOf.toString() === payment._id.toString())
+      .reduce((total, entry) => total + entry.amount, 0));
+  }
+
+  /**
+   * Record a payment against a service. The amount may not exceed the balance due.
+   * @param {string} serviceId - Service ID
+   * @param {object} data - { amount, method, date, reference }
+   * @param {object} user - User recording the payment
+   * @returns {Promise<object>} - Updated service
+   */
+  static async recordPayment(serviceId, data, user) {
+    const service = await this.getService(serviceId, user);
+
+    if (service.status === 'cancelled') {
+      throw new ErrorResponse('Cannot record payments on a cancelled service', 400);
+    }
+
+    const amount = this.parseAmount(data.amount);
+
+    service.reconcilePayments();
+    if (amount > service.balanceDue) {
+      throw new ErrorResponse(`Payment of ${amount} exceeds the outstanding balance of ${service.balanceDue}`, 400);
+    }
+
+    service.paymentDetails.push({
+      type: 'payment',
+      amount,
+      method: this.parseMethod(data.method),
+      date: data.date || Date.now(),
+      reference: data.reference,
+      recordedBy: user.id
+    });
+
+    await service.save();
+    return service;
+  }
+
+  /**
+   * Refund part or all of a recorded payment
+   * @param {string} serviceId - Service ID
+   * @param {string} paymentId - Payment entry ID
+   * @param {object} data - { amount, reason, method, reference }
+   * @param {object} user - User issuing the refund
+   * @returns {Promise<object>} - Updated service
+   */
+  static async refundPayment(serviceId, paymentId, data, user) {
+    const service = await this.getService(serviceId, user);
+    const payment = service.paymentDetails.id(paymentId);
+
+    if (!payment || payment.type !== 'payment') {
+      throw new ErrorResponse(`Payment not found with id of ${paymentId}`, 404);
+    }
+
+    if (payment.status === 'void') {
+      throw new ErrorResponse('Cannot refund a voided payment', 400);
+    }
+
+    if (!data.reason) {
+      throw new ErrorResponse('Please provide a reason for the refund', 400);
+    }
+
+    const refundable = round2(payment.amount - this.getRefundedAmount(service, payment));
+    const amount = data.amount !== undefined ? this.parseAmount(data.amount) : refundable;
+
+    if (amount <= 0 || amount > refundable) {
+      throw new ErrorResponse(`Refund exceeds the refundable amount of ${refundable}`, 400);
+    }
+
+    service.paymentDetails.push({
+      type: 'refund',
+      amount,
+      method: data.method ? this.parseMethod(data.method) : payment.method,
+      date: Date.now(),
+      reference: data.reference,
+      refundOf: payment._id,
+      reason: data.reason,
+      recordedBy: user.id
+    });
+
+    await service.save();
+    return service;
+  }
+
+  /**
+   * Void a payment or refund recorded in error. Voided entries stay on the
+   * service for the audit trail but no longer count towards the amount paid.
+   * @param {string} serviceId - Service ID
+   * @param {string} paymentId - Payment entry ID
+   * @param {string} reason - Reason for voiding
+   * @param {object} user - User voiding the entry
+   * @returns {Promise<object>} - Updated service
+   */
+  static async voidPayment(serviceId, paymentId, reason, user) {
+    const service = await this.getService(serviceId, user);
+    const payment = service.paymentDetails.id(paymentId);
+
+    if (!payment) {
+      throw new ErrorResponse(`Payment not found with id of ${paymentId}`, 404);
+    }
+
+    if (payment.status === 'void') {
+      throw new ErrorResponse('Payment is already void', 400);
+    }
+
+    if (!reason) {
+      throw new ErrorResponse('Please provide a reason for voiding the payment', 400);
+    }
+
+    if (payment.type === 'payment' && this.getRefundedAmount(service, payment) > 0) {
+      throw new ErrorResponse('Void the refunds issued against this payment first', 400);
+    }
+
+    payment.status = 'void';
+    payment.voidDetails = {
+      date: new Date(),
+      reason,
+      voidedBy: user.id
+    };
+
+    // Voiding a refund must not leave the service overpaid
+    service.reconcilePayments();
+    if (payment.type === 'refund' && service.balanceDue < 0) {
+      throw new ErrorResponse('Voiding this refund would leave the service overpaid', 400);
+    }
+
+    await service.save();
+    return service;
+  }
+
+  /**
+   * Outstanding receivables on completed services, grouped into ageing buckets
+   * @param {object} options - { branch, asOf }
+   * @returns {Promise<object>} - { asOf, totalOutstanding, buckets, services }
+   */
+  static async getOutstanding(options = {}) {
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw new ErrorResponse('Please provide a valid asOf date', 400);
+    }
+
+    // Services saved before payments were reconciled have no balanceDue yet
+    const query = {
+      status: 'completed',
+      $or: [
+        { balanceDue: { $gt: 0 } },
+        { balanceDue: { $exists: false } }
+      ]
+    };
+
+    if (options.branch) {
+      query.branch = options.branch;
+    }
+
+    const services = await Service.find(query)
+      .populate('vehicle', 'registrationNumber make model owner')
+      .populate('branch', 'name')
+      .populate('invoice', 'invoiceNumber issuedAt status')
+      .sort({ completionDate: 1 });
+
+    const buckets = AGEING_BUCKETS.map(bucket => ({
+      key: bucket.key,
+      label: bucket.label,
+      count: 0,
+      amount: 0
+    }));
+    const outstanding = [];
+
+    for (const service of services) {
+      service.reconcilePayments();
+      if (service.balanceDue <= 0) continue;
+
+      const billedAt = (service.invoice && service.invoice.issuedAt) || service.completionDate || service.startDate;
+      const ageDays = Math.max(0, Math.floor((asOf - billedAt) / (24 * 60 * 60 * 1000)));
+      const bucketIndex = AGEING_BUCKETS.findIndex(bucket => ageDays <= bucket.maxDays);
+
+      buckets[bucketIndex].count += 1;
+      buckets[bucketIndex].amount = round2(buckets[bucketIndex].amount + service.balanceDue);
+
+      outstanding.push({
+        serviceId: service._id,
+        branch: service.branch,
+        vehicle: service.vehicle,
+        invoiceNumber: service.invoice ? service.invoice.invoiceNumber : null,
+        billedAt,
+        ageDays,
+        bucket: AGEING_BUCKETS[bucketIndex].key,
+        amountDue: round2(service.amountPaid + service.balanceDue),
+        amountPaid: service.amountPaid,
+        balanceDue: service.balanceDue,
+        paymentStatus: service.paymentStatus
+      });
+    }
+
+    return {
+      asOf,
+      totalOutstanding: round2(buckets.reduce((total, bucket) => total + bucket.amount, 0)),
+      count: outstanding.length,
+      buckets,
+      services: outstanding.sort((a, b) => b.ageDays - a.ageDays)
+    };
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,201 @@
+//routes/PayrollRunService.js
+const User = require('../models/User');
+const MonthlySalary = require('../models/MonthlySalary');
+const PayrollRun = require('../models/PayrollRun');
+const IncentiveCalculationService = require('./IncentiveCalculationService');
+const { ErrorResponse } = require('../middleware/error');
+
+class PayrollRunService {
+  /**
+   * Get the active staff members covered by a payroll run
+   * @param {object} run - Payroll run
+   * @returns {Promise<Array>} - List of staff members
+   */
+  static async getStaffInScope(run) {
+    const query = { status: 'active' };
+
+    if (run.staffCategory) query.primaryServiceCategory = run.staffCategory;
+    if (run.branch) query.branch = run.branch;
+
+    return User.find(query).select('-password');
+  }
+
+  /**
+   * Calculate (or recalculate) every monthly salary in a draft payroll run.
+   * HR adjustments (special bonus and deductions) on existing records are kept.
+   * @param {object} run - Payroll run in draft state
+   * @param {string} actionBy - User ID of person performing the action
+   * @returns {Promise<object>} - Updated payroll run
+   */
+  static async computeRun(run, actionBy) {
+    if (run.status !== 'draft') {
+      throw new ErrorResponse(`Cannot recalculate a payroll run that is ${run.status}`, 400);
+    }
+
+    const staffList = await this.getStaffInScope(run);
+    const salaries = [];
+    const failures = [];
+
+    for (const staff of staffList) {
+      try {
+        const categoryId = run.staffCategory || staff.primaryServiceCategory;
+
+        let policyId = run.incentivePolicy;
+        if (!policyId) {
+          const policy = await IncentiveCalculationService.findApplicablePolicy(categoryId, run.month, run.year);
+          if (!policy) {
+            throw new Error('No active incentive policy applies to this staff category');
+          }
+          policyId = policy._id;
+        }
+
+        const existing = await MonthlySalary.findOne({
+          staff: staff._id,
+          month: run.month,
+          year: run.year
+        });
+
+        if (existing && existing.payrollRun && existing.payrollRun.toString() !== run._id.toString()) {
+          throw new Error('Monthly salary already belongs to another payroll run');
+        }
+
+        if (existing && existing.status === 'locked') {
+          throw new Error('Monthly salary record is locked');
+        }
+
+        const adjustments = existing ? existing.incentiveBreakdown : {};
+        const incentiveData = await IncentiveCalculationService.calculateStaffIncentive(
+          staff._id,
+          run.month,
+          run.year,
+          categoryId,
+          policyId,
+          {
+            specialBonus: adjustments.specialBonus,
+            specialBonusReason: adjustments.specialBonusReason,
+            deductions: adjustments.deductions,
+            deductionReason: adjustments.deductionReason
+          }
+        );
+
+        const salary = await IncentiveCalculationService.saveIncentiveData({
+          ...incentiveData,
+          status: 'draft',
+          payrollRun: run._id
+        }, actionBy);
+
+        salaries.push(salary);
+      } catch (error) {
+        failures.push({ staff: staff._id, reason: error.message });
+      }
+    }
+
+    // Drop draft records for staff who are no longer in scope
+    await MonthlySalary.deleteMany({
+      payrollRun: run._id,
+      _id: { $nin: salaries.map(salary => salary._id) }
+    });
+
+    run.salaries = salaries.map(salary => salary._id);
+    run.failures = failures;
+    run.summary = this.summarize(salaries);
+    await run.save();
+
+    return run;
+  }
+
+  /**
+   * Summarize totals for a list of monthly salary records
+   * @param {Array} salaries - Monthly salary records
+   * @returns {object} - Run summary
+   */
+  static summarize(salaries) {
+    return salaries.reduce((summary, salary) => {
+      summary.staffCount++;
+      summary.totalBaseSalary += salary.baseSalary;
+      summary.totalIncentive += salary.totalIncentive;
+      summary.totalGrossSalary += salary.grossSalary;
+      return summary;
+    }, {
+      staffCount: 0,
+      totalBaseSalary: 0,
+      totalIncentive: 0,
+      totalGrossSalary: 0
+    });
+  }
+
+  /**
+   * Refresh the summary of a payroll run from its salary records
+   * @param {object} run - Payroll run
+   * @returns {Promise<object>} - Updated payroll run
+   */
+  static async refreshSummary(run) {
+    const salaries = await MonthlySalary.find({ payrollRun: run._id });
+    run.summary = this.summarize(salaries);
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Move a payroll run and all of its salary records to a new workflow status
+   * @param {object} run - Payroll run
+   * @param {string} status - Target status (approved, locked or draft)
+   * @param {string} actionBy - User ID of person performing the action
+   * @returns {Promise<object>} - Updated payroll run
+   */
+  static async transition(run, status, actionBy) {
+    const allowed = {
+      draft: ['approved'],
+      approved: ['locked', 'draft'],
+      locked: []
+    };
+
+    if (!allowed[run.status].includes(status)) {
+      throw new ErrorResponse(`Cannot move payroll run from ${run.status} to ${status}`, 400);
+    }
+
+    if (status === 'approved' && run.salaries.length === 0) {
+      throw new ErrorResponse('Cannot approve a payroll run without salary records', 400);
+    }
+
+    const salaries = await MonthlySalary.find({ payrollRun: run._id });
+    for (const salary of salaries) {
+      salary.status = status;
+      if (status === 'locked') {
+        salary.paymentStatus = 'processed';
+      }
+      salary.updatedBy = actionBy;
+      await salary.save();
+    }
+
+    run.status = status;
+    if (status === 'approved') {
+      run.approvedBy = actionBy;
+      run.approvedAt = new Date();
+    } else if (status === 'locked') {
+      run.lockedBy = actionBy;
+      run.lockedAt = new Date();
+    } else {
+      run.approvedBy = undefined;
+      run.approvedAt = undefined;
+    }
+
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Find a payroll run or throw a 404
+   * @param {string} runId - Payroll run ID
+   * @returns {Promise<object>} - Payroll run
+   */
+  static async getRun(runId) {
+    const run = await PayrollRun.findById(runId);
+    if (!run) {
+      throw new ErrorResponse(`Payroll run not found with id of ${runId}`, 404);
+    }
+    return run;
+  }
+}
+
+module.exports = PayrollRunService;
@@ -0,0 +1,191 @@
+//routes/PricingService.js
+const Service = require('../models/Service');
+const ServiceType = require('../models/ServiceType');
+const Settings = require('../models/Settings');
+const Vehicle = require('../models/Vehicle');
+const { ErrorResponse } = require('../middleware/error');
+const InventoryService = require('./InventoryService');
+
+// Roles allowed to replace a calculated labor cost
+const OVERRIDE_ROLES = ['admin', 'manager'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+class PricingService {
+  /**
+   * Pricing inputs from the current settings
+   * @returns {Promise<object>} - { laborRate, minimumLaborHours, vehicleTypeSurcharges, partMarkupPercentage }
+   */
+  static async getPricingSettings() {
+    const settings = await Settings.findOne().sort({ createdAt: -1 });
+    const service = settings ? settings.toObject().service || {} : {};
+
+    return {
+      laborRate: service.defaultLaborRate || 0,
+      minimumLaborHours: service.minimumLaborHours || 0,
+      vehicleTypeSurcharges: service.vehicleTypeSurcharges || {},
+      partMarkupPercentage: service.partMarkupPercentage || 0
+    };
+  }
+
+  /**
+   * Price a new service item on the server. Labor hours default to the service type's
+   * estimated time; the labor cost is always calculated unless a manager overrides it.
+   * @param {object} item - Service item from the request body (updated in place)
+   * @param {object} vehicle - Vehicle being serviced
+   * @param {object} user - User creating the item (needed only for an override)
+   * @param {object} pricingSettings - From getPricingSettings
+   * @returns {Promise<object>} - The same item
+   */
+  static async priceServiceItem(item, vehicle, user, pricingSettings) {
+    const serviceType = await ServiceType.findById(item.serviceType);
+    if (!serviceType) {
+      throw new ErrorResponse(`Service type not found with id of ${item.serviceType}`, 404);
+    }
+
+    const requestedLaborCost = item.laborCost;
+    const overrideReason = item.priceOverrideReason;
+    delete item.laborCost;
+    delete item.priceOverrideReason;
+    delete item.laborCostOverridden;
+
+    if (item.laborHours === undefined || item.laborHours === null || item.laborHours === '') {
+      item.laborHours = serviceType.estimatedTime || 0;
+    }
+
+    this.applyServiceTypePricing(item, serviceType, vehicle, pricingSettings);
+
+    const calculatedLaborCost = Service.calculateLaborCost(item);
+    item.laborCost = calculatedLaborCost;
+
+    if (requestedLaborCost !== undefined && requestedLaborCost !== null &&
+        round2(Number(requestedLaborCost)) !== calculatedLaborCost) {
+      this.applyOverride(item, requestedLaborCost, overrideReason, user, calculatedLaborCost);
+    }
+
+    return item;
+  }
+
+  /**
+   * Capture the rate, base price, minimum hours and surcharge an item is priced with
+   * @param {object} item - Service item (subdocument or plain object)
+   * @param {object} serviceType - Service type of the item
+   * @param {object} vehicle - Vehicle being serviced
+   * @param {object} pricingSettings - From getPricingSettings
+   */
+  static applyServiceTypePricing(item, serviceType, vehicle, pricingSettings) {
+    item.laborRate = pricingSettings.laborRate;
+    item.pricing = {
+      basePrice: serviceType.basePrice || 0,
+      minimumLaborHours: pricingSettings.minimumLaborHours,
+      vehicleType: vehicle.type,
+      surchargePercentage: pricingSettings.vehicleTypeSurcharges[vehicle.type] || 0
+    };
+  }
+
+  /**
+   * Apply a price change to an existing service item: a new service type is priced
+   * again, a labor cost is a manager override, and clearing the override restores
+   * the calculated price
+   * @param {object} service - Service
+   * @param {object} serviceItem - Service item subdocument
+   * @param {object} changes - { serviceType, laborCost, priceOverrideReason, laborCostOverridden }
+   * @param {object} user - User making the change
+   */
+  static async updateServiceItemPricing(service, serviceItem, changes, user) {
+    if (changes.serviceType && !serviceItem.laborCostOverridden) {
+      const serviceType = await ServiceType.findById(changes.serviceType);
+      if (!serviceType) {
+        throw new ErrorResponse(`Service type not found with id of ${changes.serviceType}`, 404);
+      }
+
+      const vehicle = await Vehicle.findById(service.vehicle);
+      const pricingSettings = await this.getPricingSettings();
+      this.applyServiceTypePricing(serviceItem, serviceType, vehicle, pricingSettings);
+    }
+
+    if (changes.laborCostOverridden === false || changes.laborCostOverridden === 'false') {
+      if (!user || !OVERRIDE_ROLES.includes(user.role)) {
+        throw new ErrorResponse('Only managers can change labor cost overrides', 403);
+      }
+      serviceItem.laborCostOverridden = false;
+      serviceItem.pricing.override = undefined;
+    } else if (changes.laborCost !== undefined) {
+      const calculatedLaborCost = serviceItem.laborRate !== undefined && serviceItem.laborRate !== null
+        ? Service.calculateLaborCost(serviceItem)
+        : serviceItem.laborCost;
+      this.applyOverride(serviceItem, changes.laborCost, changes.priceOverrideReason, user, calculatedLaborCost);
+    }
+  }
+
+  /**
+   * Replace the calculated labor cost of an item with a manual price
+   * @param {object} item - Service item (subdocument or plain object)
+   * @param {number} laborCost - Manual labor cost
+   * @param {string} reason - Why the price was changed
+   * @param {object} user - User making the change
+   * @param {number} calculatedLaborCost - Price the engine would have charged
+   */
+  static applyOverride(item, laborCost, reason, user, calculatedLaborCost) {
+    if (!user || !OVERRIDE_ROLES.includes(user.role)) {
+      throw new ErrorResponse('Only managers can override the calculated labor cost', 403);
+    }
+
+    if (!reason) {
+      throw new ErrorResponse('Please provide a reason for overriding the labor cost', 400);
+    }
+
+    const amount = round2(Number(laborCost));
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new ErrorResponse('Please provide a valid labor cost', 400);
+    }
+
+    item.laborCost = amount;
+    item.laborCostOverridden = true;
+    item.pricing = item.pricing || {};
+    item.pricing.override = {
+      laborCost: amount,
+      calculatedLaborCost,
+      reason,
+      overriddenBy: user._id || user.id,
+      date: new Date()
+    };
+  }
+
+  /**
+   * Price a list of service items without saving anything
+   * @param {Array} items - [{ serviceType, laborHours, parts }]
+   * @param {object} vehicle - Vehicle being serviced
+   * @param {object} pricingSettings - From getPricingSettings
+   * @returns {Promise<object>} - { vehicleType, serviceItems, totalCost }
+   */
+  static async quote(items, vehicle, pricingSettings) {
+    const serviceItems = [];
+
+    for (const entry of items) {
+      const item = {
+        serviceType: entry.serviceType,
+        laborHours: entry.laborHours
+      };
+      await this.priceServiceItem(item, vehicle, null, pricingSettings);
+
+      const parts = await InventoryService.prepareParts(entry.parts || [], pricingSettings);
+      const partsCost = round2(parts.reduce((total, part) => total + part.totalCost, 0));
+
+      serviceItems.push({
+        ...item,
+        parts,
+        partsCost,
+        totalCost: round2(item.laborCost + partsCost)
+      });
+    }
+
+    return {
+      vehicleType: vehicle.type,
+      serviceItems,
+      totalCost: round2(serviceItems.reduce((total, item) => total + item.totalCost, 0))
+    };
+  }
+}
+
+module.exports = PricingService;
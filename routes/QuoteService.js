@@ -0,0 +1,278 @@
+//routes/QuoteService.js
+const mongoose = require('mongoose');
+const Quote = require('../models/Quote');
+const Service = require('../models/Service');
+const Vehicle = require('../models/Vehicle');
+const Settings = require('../models/Settings');
+const { ErrorResponse } = require('../middleware/error');
+const InventoryService = require('./InventoryService');
+const PricingService = require('./PricingService');
+
+// Statuses in which the customer can still answer a quote
+const OPEN_STATUSES = ['draft', 'sent'];
+
+const APPROVAL_METHODS = ['in_person', 'phone', 'email', 'sms', 'signature'];
+
+class QuoteService {
+  /**
+   * Default validity date for a new quote
+   * @returns {Promise<Date>} - Today plus Settings.service.quoteValidityDays
+   */
+  static async getDefaultValidUntil() {
+    const settings = await Settings.findOne().sort({ createdAt: -1 });
+    const days = (settings && settings.service && settings.service.quoteValidityDays) || 14;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Price the proposed items of a quote with the same engine used for services
+   * @param {Array} items - [{ serviceType, description, laborHours, laborCost, priceOverrideReason, parts }]
+   * @param {object} vehicle - Vehicle being quoted
+   * @param {object} user - User preparing the quote (needed only for a price override)
+   * @returns {Promise<Array>} - Priced items
+   */
+  static async buildItems(items = [], vehicle, user) {
+    const pricingSettings = await PricingService.getPricingSettings();
+    const priced = [];
+
+    for (const entry of items) {
+      const item = {
+        serviceType: entry.serviceType,
+        description: entry.description,
+        laborHours: entry.laborHours,
+        laborCost: entry.laborCost,
+        priceOverrideReason: entry.priceOverrideReason
+      };
+
+      await PricingService.priceServiceItem(item, vehicle, user, pricingSettings);
+      item.parts = await InventoryService.prepareParts(entry.parts, pricingSettings);
+      priced.push(item);
+    }
+
+    return priced;
+  }
+
+  /**
+   * Mark a draft or sent quote as expired once its validity date has passed
+   * @param {object} quote - Quote
+   * @returns {Promise<object>} - The same quote
+   */
+  static async expireIfOverdue(quote) {
+    if (quote.isExpired()) {
+      quote.status = 'expired';
+      await quote.save();
+    }
+    return quote;
+  }
+
+  /**
+   * Expire every overdue quote (used before listing)
+   * @param {object} query - Extra conditions, e.g. a branch
+   */
+  static async expireOverdue(query = {}) {
+    await Quote.updateMany(
+      { ...query, status: { $in: OPEN_STATUSES }, validUntil: { $lt: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+  }
+
+  /**
+   * Throw unless the customer can still answer the quote
+   * @param {object} quote - Quote
+   * @param {string} action - Action for the error message
+   */
+  static async assertOpen(quote, action) {
+    await this.expireIfOverdue(quote);
+
+    if (!OPEN_STATUSES.includes(quote.status)) {
+      throw new ErrorResponse(`Cannot ${action} a quote that is ${quote.status}`, 400);
+    }
+  }
+
+  /**
+   * Mark a quote as sent to the customer (sending again refreshes the date)
+   * @param {object} quote - Quote
+   * @returns {Promise<object>} - Updated quote
+   */
+  static async send(quote) {
+    await this.assertOpen(quote, 'send');
+
+    if (quote.serviceItems.length === 0) {
+      throw new ErrorResponse('Cannot send a quote without service items', 400);
+    }
+
+    quote.status = 'sent';
+    quote.sentAt = new Date();
+    await quote.save();
+    return quote;
+  }
+
+  /**
+   * Record the customer's approval of a quote
+   * @param {object} quote - Quote
+   * @param {object} approval - { approvedBy, method, approvedAt, notes }
+   * @param {string} recordedBy - User ID recording the approval
+   * @returns {Promise<object>} - Updated quote
+   */
+  static async accept(quote, approval = {}, recordedBy) {
+    await this.assertOpen(quote, 'accept');
+
+    if (!approval.approvedBy) {
+      throw new ErrorResponse('Please provide the name of the person approving the quote', 400);
+    }
+
+    if (!APPROVAL_METHODS.includes(approval.method)) {
+      throw new ErrorResponse(`Please provide an approval method: ${APPROVAL_METHODS.join(', ')}`, 400);
+    }
+
+    quote.status = 'accepted';
+    quote.approval = {
+      approvedBy: approval.approvedBy,
+      approvedAt: approval.approvedAt ? new Date(approval.approvedAt) : new Date(),
+      method: approval.method,
+      notes: approval.notes,
+      recordedBy
+    };
+    await quote.save();
+    return quote;
+  }
+
+  /**
+   * Record that the customer declined a quote
+   * @param {object} quote - Quote
+   * @param {string} reason - Why the customer declined
+   * @param {string} recordedBy - User ID recording the decline
+   * @returns {Promise<object>} - Updated quote
+   */
+  static async decline(quote, reason, recordedBy) {
+    await this.assertOpen(quote, 'decline');
+
+    quote.status = 'declined';
+    quote.decline = {
+      reason,
+      date: new Date(),
+      recordedBy
+    };
+    await quote.save();
+    return quote;
+  }
+
+  /**
+   * Open a service from an accepted quote. Items keep the quoted prices (the labor
+   * cost is locked as an override); catalogue parts are reserved from branch stock
+   * as on any new service. The quote is claimed for the new service first, so two
+   * concurrent requests cannot both convert it.
+   * @param {object} quote - Quote
+   * @param {object} options - { mileageAtService, estimatedCompletionDate }
+   * @param {string} userId - User opening the service
+   * @returns {Promise<object>} - Created service
+   */
+  static async convert(quote, options = {}, userId) {
+    if (quote.status !== 'accepted' || !quote.approval || !quote.approval.approvedAt) {
+      throw new ErrorResponse('Only a quote with recorded customer approval can be turned into a service', 400);
+    }
+
+    if (quote.service) {
+      throw new ErrorResponse(`Quote has already been turned into service ${quote.service}`, 400);
+    }
+
+    const vehicle = await Vehicle.findById(quote.vehicle);
+    if (!vehicle) {
+      throw new ErrorResponse(`Vehicle not found with id of ${quote.vehicle}`, 404);
+    }
+
+    const serviceItems = quote.serviceItems.map(item => {
+      const pricing = item.toObject().pricing || {};
+
+      // The customer accepted this labor price, so clocked hours must not change it
+      if (!item.laborCostOverridden) {
+        pricing.override = {
+          laborCost: item.laborCost,
+          calculatedLaborCost: item.laborCost,
+          reason: `Price accepted on quote ${quote._id}`,
+          overriddenBy: userId,
+          date: new Date()
+        };
+      }
+
+      return {
+        serviceType: item.serviceType,
+        description: item.description,
+        laborHours: item.laborHours,
+        laborCost: item.laborCost,
+        laborRate: item.laborRate,
+        laborCostOverridden: true,
+        pricing,
+        parts: item.parts.map(part => ({
+          part: part.part,
+          name: part.name,
+          quantity: part.quantity,
+          unitCost: part.unitCost,
+          totalCost: part.totalCost,
+          stockStatus: 'untracked'
+        }))
+      };
+    });
+
+    const serviceId = new mongoose.Types.ObjectId();
+    const convertedAt = new Date();
+    const claimed = await Quote.findOneAndUpdate(
+      { _id: quote._id, service: null, status: 'accepted' },
+      { $set: { service: serviceId, convertedAt } }
+    );
+    if (!claimed) {
+      throw new ErrorResponse('Quote has already been turned into a service', 400);
+    }
+
+    // Give the quote back if the service could not be opened
+    const releaseClaim = () => Quote.updateOne(
+      { _id: quote._id, service: serviceId },
+      { $unset: { service: 1, convertedAt: 1 } }
+    );
+
+    const allParts = serviceItems.reduce((parts, item) => parts.concat(item.parts), []);
+    try {
+      await InventoryService.reserveParts(quote.branch, allParts);
+    } catch (error) {
+      await releaseClaim();
+      throw error;
+    }
+
+    const estimatedHours = serviceItems.reduce((total, item) => total + (item.laborHours || 0), 0);
+
+    let service;
+    try {
+      service = await Service.create({
+        _id: serviceId,
+        vehicle: vehicle._id,
+        branch: quote.branch,
+        quote: quote._id,
+        serviceItems,
+        mileageAtService: options.mileageAtService !== undefined ? options.mileageAtService : vehicle.mileage,
+        estimatedCompletionDate: options.estimatedCompletionDate ||
+          new Date(Date.now() + Math.max(estimatedHours, 1) * 60 * 60 * 1000),
+        notes: [{
+          content: `Opened from quote ${quote._id}, approved by ${quote.approval.approvedBy} (${quote.approval.method})`,
+          createdBy: userId
+        }],
+        totalCost: 0 // Recalculated from the service items on save
+      });
+    } catch (error) {
+      await InventoryService.releaseParts(quote.branch, allParts);
+      await releaseClaim();
+      throw error;
+    }
+
+    // Update vehicle status like a walk-in service
+    vehicle.status = 'in_service';
+    await vehicle.save();
+
+    // Already stored by the claim; keep the returned quote in step
+    quote.service = service._id;
+    quote.convertedAt = convertedAt;
+
+    return service;
+  }
+}
+
+module.exports = QuoteService;
@@ -0,0 +1,253 @@
+//routes/ServiceItemWorkflow.js
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const { ErrorResponse } = require('../middleware/error');
+const InventoryService = require('./InventoryService');
+const TimeClockService = require('./TimeClockService');
+const MaintenanceScheduleService = require('./MaintenanceScheduleService');
+const WarrantyService = require('./WarrantyService');
+
+// Allowed service item transitions: action -> { from: [statuses], to: status }
+const TRANSITIONS = {
+  start: { from: ['pending', 'paused'], to: 'in_progress' },
+  pause: { from: ['in_progress'], to: 'paused' },
+  complete: { from: ['in_progress'], to: 'completed' },
+  cancel: { from: ['pending', 'in_progress', 'paused'], to: 'cancelled', reasonRequired: true },
+  reopen: { from: ['completed', 'cancelled'], to: 'in_progress', reasonRequired: true },
+  approve: { from: ['pending_approval'], to: 'pending' },
+  reject: { from: ['pending_approval'], to: 'cancelled', reasonRequired: true }
+};
+
+// Who can approve extra work, and how a customer's answer was given
+const APPROVAL_DECIDERS = ['customer', 'manager'];
+const APPROVAL_METHODS = ['in_person', 'phone', 'email', 'sms', 'signature'];
+
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+// Fields that only the workflow may set on a service item
+const PROTECTED_ITEM_FIELDS = ['status', 'startTime', 'completionTime', 'statusHistory', 'technicians', 'workSessions', 'approval', 'warranty'];
+
+class ServiceItemWorkflow {
+  /**
+   * Strip workflow-managed fields from a new service item so it always starts as pending
+   * @param {object} item - Service item from the request body
+   * @returns {object} - The same item
+   */
+  static sanitizeNewItem(item) {
+    delete item.status;
+    delete item.startTime;
+    delete item.completionTime;
+    delete item.statusHistory;
+    delete item.workSessions;
+    delete item.approval;
+    delete item.warranty;
+    (item.parts || []).forEach(part => {
+      delete part.warrantyDays;
+      delete part.warrantyExpiryDate;
+    });
+
+    // Credits are only ever calculated on completion
+    item.technicians = (item.technicians || []).map(tech => ({
+      technician: tech.technician || tech,
+      contributionShare: tech.contributionShare,
+      hoursWorked: tech.hoursWorked
+    }));
+
+    return item;
+  }
+
+  /**
+   * Hold a new item added to a job already in progress until the extra work is approved
+   * @param {object} item - Sanitized service item from the request body
+   * @param {string} requestedBy - User ID of person adding the work
+   * @returns {object} - The same item
+   */
+  static requireApproval(item, requestedBy) {
+    item.status = 'pending_approval';
+    item.approval = {
+      status: 'pending',
+      requestedBy,
+      requestedAt: new Date()
+    };
+    return item;
+  }
+
+  /**
+   * Record the customer's or a manager's answer to extra work and move the item on:
+   * approved items become pending, rejected items are cancelled
+   * @param {object} service - Service
+   * @param {string} serviceItemId - Service item ID
+   * @param {string} action - approve or reject
+   * @param {object} data - { decidedBy: customer|manager, customerName, method, reason }
+   * @param {object} user - User recording the decision
+   * @returns {Promise<object>} - Updated service item
+   */
+  static async decide(service, serviceItemId, action, data = {}, user) {
+    const serviceItem = service.serviceItems.id(serviceItemId);
+    if (!serviceItem) {
+      throw new ErrorResponse(`Service item not found with id of ${serviceItemId}`, 404);
+    }
+
+    const decidedBy = data.decidedBy || 'customer';
+    if (!APPROVAL_DECIDERS.includes(decidedBy)) {
+      throw new ErrorResponse(`Please provide who decided: ${APPROVAL_DECIDERS.join(', ')}`, 400);
+    }
+
+    if (decidedBy === 'manager' && !['admin', 'manager'].includes(user.role)) {
+      throw new ErrorResponse('Only managers can approve or reject extra work on their own authority', 403);
+    }
+
+    if (decidedBy === 'customer') {
+      if (!data.customerName) {
+        throw new ErrorResponse('Please provide the name of the customer who answered', 400);
+      }
+      if (!APPROVAL_METHODS.includes(data.method)) {
+        throw new ErrorResponse(`Please provide how the customer answered: ${APPROVAL_METHODS.join(', ')}`, 400);
+      }
+    }
+
+    if (serviceItem.status === 'pending_approval') {
+      Object.assign(serviceItem.approval, {
+        status: action === 'approve' ? 'approved' : 'rejected',
+        decidedBy,
+        customerName: decidedBy === 'customer' ? data.customerName : undefined,
+        method: decidedBy === 'customer' ? data.method : undefined,
+        reason: data.reason,
+        recordedBy: user._id || user.id,
+        decidedAt: new Date()
+      });
+    }
+
+    return this.transition(service, serviceItemId, action, data, user._id || user.id);
+  }
+
+  /**
+   * Throw if an update tries to set workflow-managed fields directly
+   * @param {object} updates - Request body
+   */
+  static assertNoProtectedFields(updates) {
+    const protectedFields = PROTECTED_ITEM_FIELDS.filter(field => updates[field] !== undefined);
+
+    if (protectedFields.length > 0) {
+      throw new ErrorResponse(
+        `${protectedFields.join(', ')} cannot be updated directly; use the service item status and technician endpoints`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Apply a status transition to a service item, with its side effects on stock,
+   * technician credits and the vehicle, and save the service
+   * @param {object} service - Service
+   * @param {string} serviceItemId - Service item ID
+   * @param {string} action - start, pause, complete, cancel, reopen, approve or reject
+   * @param {object} data - { reason }
+   * @param {string} actionBy - User ID of person making the change
+   * @returns {Promise<object>} - Updated service item
+   */
+  static async transition(service, serviceItemId, action, data = {}, actionBy) {
+    const rule = TRANSITIONS[action];
+    if (!rule) {
+      throw new ErrorResponse(`Unknown service item action ${action}`, 400);
+    }
+
+    const serviceItem = service.serviceItems.id(serviceItemId);
+    if (!serviceItem) {
+      throw new ErrorResponse(`Service item not found with id of ${serviceItemId}`, 404);
+    }
+
+    const from = serviceItem.status;
+    if (!rule.from.includes(from)) {
+      throw new ErrorResponse(`Cannot ${action} a service item that is ${from}`, 400);
+    }
+
+    if (rule.reasonRequired && !data.reason) {
+      throw new ErrorResponse(`Please provide a reason to ${action} the service item`, 400);
+    }
+
+    if ((action === 'start' || action === 'complete') && serviceItem.technicians.length === 0) {
+      throw new ErrorResponse(`Assign a technician before you ${action} the service item`, 400);
+    }
+
+    const previousServiceStatus = service.status;
+    const now = new Date();
+
+    if (action === 'start' && !serviceItem.startTime) {
+      serviceItem.startTime = now;
+    }
+
+    // Nobody stays clocked on to an item that is no longer being worked on
+    if (['pause', 'complete', 'cancel'].includes(action)) {
+      TimeClockService.closeOpenSessions(serviceItem, now);
+    }
+
+    if (action === 'complete') {
+      serviceItem.completionTime = now;
+      await InventoryService.consumeParts(service.branch, serviceItem.parts);
+      await WarrantyService.applyItemWarranty(serviceItem, now);
+    }
+
+    if (action === 'cancel' || action === 'reject') {
+      await InventoryService.restockParts(service.branch, serviceItem.parts);
+    }
+
+    if (action === 'reopen') {
+      if (serviceItem.approval && serviceItem.approval.status === 'rejected') {
+        throw new ErrorResponse('Extra work rejected by the customer cannot be reopened; add it again for approval', 400);
+      }
+
+      serviceItem.completionTime = undefined;
+      WarrantyService.clearItemWarranty(serviceItem);
+
+      // Parts returned on cancellation have to be reserved again
+      if (from === 'cancelled') {
+        serviceItem.parts.forEach(part => {
+          if (part.part && part.stockStatus === 'released') {
+            part.stockStatus = 'untracked';
+          }
+        });
+        await InventoryService.reserveParts(service.branch, serviceItem.parts);
+      }
+    }
+
+    serviceItem.status = rule.to;
+    serviceItem.statusHistory.push({
+      action,
+      from,
+      to: rule.to,
+      reason: data.reason,
+      changedBy: actionBy,
+      date: now
+    });
+
+    await service.save();
+
+    // Credits follow the item: awarded on completion, taken back when it is reopened
+    if (action === 'complete') {
+      await service.assignCreditPoints(serviceItem._id, User, actionBy);
+    } else if (action === 'reopen' || action === 'cancel') {
+      await service.reverseCreditPoints(serviceItem._id, User, {
+        reason: `Service item ${action === 'reopen' ? 'reopened' : 'cancelled'}: ${data.reason}`,
+        actionBy
+      });
+    }
+
+    // The vehicle leaves the workshop when the whole job is finished and returns if it is reopened
+    if (service.status !== previousServiceStatus) {
+      if (service.status === 'completed') {
+        await MaintenanceScheduleService.recordCompletedService(service);
+      } else if (service.status === 'cancelled') {
+        await Vehicle.findByIdAndUpdate(service.vehicle, { status: 'active' });
+      } else if (FINISHED_STATUSES.includes(previousServiceStatus)) {
+        await Vehicle.findByIdAndUpdate(service.vehicle, { status: 'in_service' });
+      }
+    }
+
+    return serviceItem;
+  }
+}
+
+ServiceItemWorkflow.TRANSITIONS = TRANSITIONS;
+
+module.exports = ServiceItemWorkflow;
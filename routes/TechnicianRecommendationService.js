@@ -0,0 +1,200 @@
+//routes/TechnicianRecommendationService.js
+const User = require('../models/User');
+const Service = require('../models/Service');
+const ServiceType = require('../models/ServiceType');
+const Settings = require('../models/Settings');
+const CreditTransaction = require('../models/CreditTransaction');
+const { ErrorResponse } = require('../middleware/error');
+
+// Service item statuses that still tie up a technician
+const OPEN_ITEM_STATUSES = ['pending', 'in_progress', 'paused'];
+
+// Points available per ranking factor (total 100)
+const WEIGHTS = {
+  skill: 40,
+  certified: 15,
+  workload: 25,
+  recentCredits: 20
+};
+
+// Open items at which a technician counts as fully loaded
+const FULL_WORKLOAD = 5;
+
+class TechnicianRecommendationService {
+  /**
+   * Check a technician's capability against the skill level a service type requires
+   * @param {object} user - Technician
+   * @param {object} serviceType - Service type
+   * @returns {object} - { capability, skillLevel, requiredSkillLevel, meetsRequiredSkill }
+   */
+  static checkSkill(user, serviceType) {
+    const capability = user.serviceCapabilities.find(
+      cap => cap.serviceType.toString() === serviceType._id.toString()
+    );
+    const requiredSkillLevel = serviceType.requiredSkillLevel || 1;
+    const skillLevel = capability ? capability.skillLevel : 0;
+
+    return {
+      capability,
+      skillLevel,
+      requiredSkillLevel,
+      meetsRequiredSkill: skillLevel >= requiredSkillLevel
+    };
+  }
+
+  /**
+   * Throw when skill enforcement is switched on and the technician is not qualified
+   * @param {object} user - Technician
+   * @param {string} serviceTypeId - Service type ID
+   */
+  static async assertQualified(user, serviceTypeId) {
+    const settings = await Settings.findOne().sort({ createdAt: -1 });
+    if (!settings || !settings.service || !settings.service.enforceSkillLevel) {
+      return;
+    }
+
+    const serviceType = await ServiceType.findById(serviceTypeId);
+    if (!serviceType) {
+      return;
+    }
+
+    const { skillLevel, requiredSkillLevel, meetsRequiredSkill } = this.checkSkill(user, serviceType);
+    if (!meetsRequiredSkill) {
+      throw new ErrorResponse(
+        `${user.firstName} ${user.lastName} has skill level ${skillLevel} for ${serviceType.name}; level ${requiredSkillLevel} is required`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Run assertQualified for every technician given on a new service item
+   * @param {object} item - Service item from the request body
+   */
+  static async assertItemQualified(item) {
+    for (const techInfo of item.technicians || []) {
+      const user = await User.findById(techInfo.technician);
+      if (!user) {
+        throw new ErrorResponse(`User not found with id of ${techInfo.technician}`, 404);
+      }
+      await this.assertQualified(user, item.serviceType);
+    }
+  }
+
+  /**
+   * Count open service items per technician
+   * @param {Array} userIds - Technician IDs
+   * @returns {Promise<Map>} - Technician ID -> open item count
+   */
+  static async getOpenWorkload(userIds) {
+    const workload = await Service.aggregate([
+      { $match: { status: { $in: ['pending', 'in_progress'] } } },
+      { $unwind: '$serviceItems' },
+      { $match: { 'serviceItems.status': { $in: OPEN_ITEM_STATUSES } } },
+      { $unwind: '$serviceItems.technicians' },
+      { $match: { 'serviceItems.technicians.technician': { $in: userIds } } },
+      { $group: { _id: '$serviceItems.technicians.technician', openItems: { $sum: 1 } } }
+    ]);
+
+    return new Map(workload.map(entry => [entry._id.toString(), entry.openItems]));
+  }
+
+  /**
+   * Sum credit points earned per technician since a date
+   * @param {Array} userIds - Technician IDs
+   * @param {Date} since - Start of the window
+   * @returns {Promise<Map>} - Technician ID -> points
+   */
+  static async getRecentCredits(userIds, since) {
+    const credits = await CreditTransaction.aggregate([
+      { $match: { user: { $in: userIds }, createdAt: { $gte: since } } },
+      { $group: { _id: '$user', points: { $sum: '$points' } } }
+    ]);
+
+    return new Map(credits.map(entry => [entry._id.toString(), entry.points]));
+  }
+
+  /**
+   * Rank active staff of the service's branch for a service item
+   * @param {string} serviceId - Service ID
+   * @param {string} serviceItemId - Service item ID
+   * @param {object} options - { days (recent credit window), limit }
+   * @returns {Promise<object>} - { serviceType, requiredSkillLevel, technicians }
+   */
+  static async recommend(serviceId, serviceItemId, options = {}) {
+    const service = await Service.findById(serviceId);
+    if (!service) {
+      throw new ErrorResponse(`Service not found with id of ${serviceId}`, 404);
+    }
+
+    const serviceItem = service.serviceItems.id(serviceItemId);
+    if (!serviceItem) {
+      throw new ErrorResponse(`Service item not found with id of ${serviceItemId}`, 404);
+    }
+
+    const serviceType = await ServiceType.findById(serviceItem.serviceType);
+    if (!serviceType) {
+      throw new ErrorResponse(`Service type not found with id of ${serviceItem.serviceType}`, 404);
+    }
+
+    const days = parseInt(options.days, 10) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const assigned = new Set(serviceItem.technicians.map(tech => tech.technician.toString()));
+
+    const candidates = await User.find({
+      branch: service.branch,
+      role: 'staff',
+      status: 'active'
+    }).select('firstName lastName serviceCapabilities');
+
+    const userIds = candidates.map(user => user._id);
+    const workload = await this.getOpenWorkload(userIds);
+    const recentCredits = await this.getRecentCredits(userIds, since);
+    const maxRecentCredits = Math.max(0, ...recentCredits.values());
+
+    const technicians = candidates.map(user => {
+      const id = user._id.toString();
+      const { capability, skillLevel, requiredSkillLevel, meetsRequiredSkill } = this.checkSkill(user, serviceType);
+      const openItems = workload.get(id) || 0;
+      const credits = recentCredits.get(id) || 0;
+
+      const breakdown = {
+        skill: WEIGHTS.skill * skillLevel / 5,
+        certified: capability && capability.certified ? WEIGHTS.certified : 0,
+        workload: WEIGHTS.workload * (1 - Math.min(openItems, FULL_WORKLOAD) / FULL_WORKLOAD),
+        recentCredits: maxRecentCredits > 0 ? WEIGHTS.recentCredits * Math.max(0, credits) / maxRecentCredits : 0
+      };
+      const score = Object.values(breakdown).reduce((total, value) => total + value, 0);
+
+      return {
+        _id: user._id,
+        fullName: `${user.firstName} ${user.lastName}`,
+        skillLevel,
+        requiredSkillLevel,
+        meetsRequiredSkill,
+        certified: Boolean(capability && capability.certified),
+        openItems,
+        recentCreditPoints: credits,
+        alreadyAssigned: assigned.has(id),
+        score: Math.round(score * 10) / 10,
+        breakdown
+      };
+    });
+
+    // Qualified technicians first, then by score
+    technicians.sort((a, b) =>
+      (b.meetsRequiredSkill - a.meetsRequiredSkill) || (b.score - a.score)
+    );
+
+    const limit = parseInt(options.limit, 10);
+
+    return {
+      serviceType: { _id: serviceType._id, name: serviceType.name },
+      requiredSkillLevel: serviceType.requiredSkillLevel || 1,
+      recentCreditDays: days,
+      technicians: limit > 0 ? technicians.slice(0, limit) : technicians
+    };
+  }
+}
+
+module.exports = TechnicianRecommendationService;
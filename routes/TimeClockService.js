@@ -0,0 +1,142 @@
+//routes/TimeClockService.js
+const Service = require('../models/Service');
+const Settings = require('../models/Settings');
+const { ErrorResponse } = require('../middleware/error');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+class TimeClockService {
+  /**
+   * Current default labor rate from settings
+   * @returns {Promise<number|undefined>} - Rate per hour
+   */
+  static async getDefaultLaborRate() {
+    const settings = await Settings.findOne().sort({ createdAt: -1 });
+    return settings && settings.service ? settings.service.defaultLaborRate : undefined;
+  }
+
+  /**
+   * Close a running work session
+   * @param {object} session - Work session
+   * @param {Date} now - Clock-out time
+   */
+  static closeSession(session, now) {
+    session.clockOut = now;
+    session.hours = round2(Math.max(0, now - session.clockIn) / 3600000);
+  }
+
+  /**
+   * Copy each technician's clocked hours onto the item, so credits can be split by hours
+   * @param {object} serviceItem - Service item
+   */
+  static syncTechnicianHours(serviceItem) {
+    serviceItem.technicians.forEach(techInfo => {
+      const sessions = serviceItem.workSessions.filter(
+        session => session.technician.toString() === techInfo.technician.toString()
+      );
+
+      if (sessions.length > 0) {
+        techInfo.hoursWorked = round2(sessions.reduce((total, session) => total + (session.hours || 0), 0));
+      }
+    });
+  }
+
+  /**
+   * Close every running session on an item (when work is paused, completed or cancelled)
+   * @param {object} serviceItem - Service item
+   * @param {Date} now - Clock-out time
+   */
+  static closeOpenSessions(serviceItem, now) {
+    (serviceItem.workSessions || []).forEach(session => {
+      if (!session.clockOut) {
+        this.closeSession(session, now);
+      }
+    });
+
+    this.syncTechnicianHours(serviceItem);
+  }
+
+  /**
+   * Clock a technician on to a service item. A technician can only have one running
+   * session at a time, across all services.
+   * @param {object} service - Service
+   * @param {string} serviceItemId - Service item ID
+   * @param {string} technicianId - Technician user ID
+   * @param {string} notes - Optional session notes
+   * @returns {Promise<object>} - Updated service item
+   */
+  static async clockIn(service, serviceItemId, technicianId, notes) {
+    const serviceItem = service.serviceItems.id(serviceItemId);
+    if (!serviceItem) {
+      throw new ErrorResponse(`Service item not found with id of ${serviceItemId}`, 404);
+    }
+
+    if (serviceItem.status !== 'in_progress') {
+      throw new ErrorResponse(`Cannot clock on to a service item that is ${serviceItem.status}`, 400);
+    }
+
+    const isAssigned = serviceItem.technicians.some(tech => tech.technician.toString() === technicianId.toString());
+    if (!isAssigned) {
+      throw new ErrorResponse('Technician is not assigned to this service item', 400);
+    }
+
+    const running = await Service.findOne({
+      'serviceItems.workSessions': {
+        $elemMatch: { technician: technicianId, clockOut: null }
+      }
+    }).select('_id');
+
+    if (running) {
+      throw new ErrorResponse(
+        running._id.toString() === service._id.toString()
+          ? 'Technician is already clocked on to this service; clock off first'
+          : `Technician is clocked on to service ${running._id}; clock off first`,
+        400
+      );
+    }
+
+    // Labor cost follows the rate in force when work started
+    if (serviceItem.laborRate === undefined || serviceItem.laborRate === null) {
+      serviceItem.laborRate = await this.getDefaultLaborRate();
+    }
+
+    serviceItem.workSessions.push({
+      technician: technicianId,
+      clockIn: new Date(),
+      notes
+    });
+
+    await service.save();
+    return serviceItem;
+  }
+
+  /**
+   * Clock a technician off a service item
+   * @param {object} service - Service
+   * @param {string} serviceItemId - Service item ID
+   * @param {string} technicianId - Technician user ID
+   * @returns {Promise<object>} - Updated service item
+   */
+  static async clockOut(service, serviceItemId, technicianId) {
+    const serviceItem = service.serviceItems.id(serviceItemId);
+    if (!serviceItem) {
+      throw new ErrorResponse(`Service item not found with id of ${serviceItemId}`, 404);
+    }
+
+    const session = serviceItem.workSessions.find(
+      entry => entry.technician.toString() === technicianId.toString() && !entry.clockOut
+    );
+
+    if (!session) {
+      throw new ErrorResponse('Technician is not clocked on to this service item', 400);
+    }
+
+    this.closeSession(session, new Date());
+    this.syncTechnicianHours(serviceItem);
+
+    await service.save();
+    return serviceItem;
+  }
+}
+
+module.exports = TimeClockService;
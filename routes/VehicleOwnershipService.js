@@ -0,0 +1,149 @@
+//routes/VehicleOwnershipService.js
+const Customer = require('../models/Customer');
+const Service = require('../models/Service');
+const { ErrorResponse } = require('../middleware/error');
+const CustomerService = require('./CustomerService');
+
+const contactOf = owner => ({
+  name: owner && owner.name,
+  phone: owner && owner.phone,
+  email: owner && owner.email
+});
+
+class VehicleOwnershipService {
+  /**
+   * Owner of a vehicle on a given date, from its ownership transfers
+   * @param {object} vehicle - Vehicle
+   * @param {Date} date - Point in time
+   * @returns {object} - { customer, name, phone, email }
+   */
+  static getOwnerAt(vehicle, date) {
+    const transfers = vehicle.ownershipTransfers || [];
+
+    if (transfers.length === 0) {
+      return { customer: vehicle.customer, ...contactOf(vehicle.owner) };
+    }
+
+    const at = date ? new Date(date) : new Date();
+    let owner = { customer: transfers[0].previousCustomer, ...contactOf(transfers[0].previousOwner) };
+
+    for (const transfer of transfers) {
+      if (transfer.transferDate > at) break;
+      owner = { customer: transfer.newCustomer, ...contactOf(transfer.newOwner) };
+    }
+
+    return owner;
+  }
+
+  /**
+   * Add the owner at the time to each record (services, complaints) of a vehicle
+   * @param {object} vehicle - Vehicle
+   * @param {Array} records - Documents
+   * @param {string} dateField - Field holding the record date
+   * @param {string} ownerField - Name of the field to add
+   * @returns {Array} - Plain objects
+   */
+  static withOwnerAt(vehicle, records, dateField, ownerField) {
+    return records.map(record => ({
+      ...record.toObject(),
+      [ownerField]: this.getOwnerAt(vehicle, record[dateField])
+    }));
+  }
+
+  /**
+   * Record the sale of a vehicle to another customer
+   * @param {object} vehicle - Vehicle
+   * @param {object} data - { customer, owner, transferDate, mileage, notes }
+   * @param {string} recordedBy - User ID recording the transfer
+   * @returns {Promise<object>} - Updated vehicle
+   */
+  static async transfer(vehicle, data = {}, recordedBy) {
+    let customer;
+    if (data.customer) {
+      customer = await Customer.findById(data.customer);
+      if (!customer) {
+        throw new ErrorResponse(`Customer not found with id of ${data.customer}`, 404);
+      }
+    } else if (data.owner) {
+      ({ customer } = await CustomerService.findOrCreateFromOwner(data.owner, vehicle.branch));
+    } else {
+      throw new ErrorResponse('Please provide the new owner as a customer ID or owner details', 400);
+    }
+
+    if (vehicle.customer && vehicle.customer.toString() === customer._id.toString()) {
+      throw new ErrorResponse('The vehicle already belongs to this customer', 400);
+    }
+
+    const transferDate = data.transferDate ? new Date(data.transferDate) : new Date();
+    if (isNaN(transferDate.getTime()) || transferDate > new Date()) {
+      throw new ErrorResponse('Please provide a transfer date that is not in the future', 400);
+    }
+
+    const mileage = data.mileage !== undefined ? Number(data.mileage) : vehicle.mileage;
+    if (!Number.isFinite(mileage) || mileage < 0) {
+      throw new ErrorResponse('Please provide a valid mileage at transfer', 400);
+    }
+
+    const lastTransfer = vehicle.ownershipTransfers[vehicle.ownershipTransfers.length - 1];
+    if (lastTransfer) {
+      if (transferDate < lastTransfer.transferDate) {
+        throw new ErrorResponse('Transfer date is before the previous ownership transfer', 400);
+      }
+      if (mileage < lastTransfer.mileageAtTransfer) {
+        throw new ErrorResponse('Mileage is lower than at the previous ownership transfer', 400);
+      }
+    }
+
+    const previousOwner = contactOf(vehicle.owner);
+    const previousCustomer = vehicle.customer;
+
+    CustomerService.applyToVehicle(vehicle, customer);
+    vehicle.ownershipTransfers.push({
+      previousCustomer,
+      previousOwner,
+      newCustomer: customer._id,
+      newOwner: contactOf(vehicle.owner),
+      transferDate,
+      mileageAtTransfer: mileage,
+      notes: data.notes,
+      recordedBy
+    });
+
+    if (mileage > vehicle.mileage) {
+      vehicle.mileage = mileage;
+    }
+
+    await vehicle.save();
+
+    // Item warranties that do not follow the vehicle end on the day it is sold; part
+    // warranties always pass to the new owner
+    await Service.updateMany(
+      { vehicle: vehicle._id, 'serviceItems.warranty.transferable': false },
+      { $set: { 'serviceItems.$[item].warranty.endedByTransferOn': transferDate } },
+      {
+        arrayFilters: [{
+          'item.warranty.transferable': false,
+          'item.warranty.expiryDate': { $gt: transferDate },
+          'item.warranty.endedByTransferOn': { $exists: false }
+        }]
+      }
+    );
+
+    // Warranties entered by hand on older services cover the whole service
+    await Service.updateMany(
+      {
+        vehicle: vehicle._id,
+        'warranty.transferable': false,
+        'warranty.expiryDate': { $gt: transferDate },
+        'warranty.endedByTransferOn': { $exists: false },
+        'serviceItems.warranty.expiryDate': { $exists: false },
+        'serviceItems.parts.warrantyExpiryDate': { $exists: false }
+      },
+      { $set: { 'warranty.endedByTransferOn': transferDate } }
+    );
+
+    return vehicle;
+  }
+}
+
+module.exports = VehicleOwnershipService;
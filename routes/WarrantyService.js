@@ -0,0 +1,268 @@
+//routes/WarrantyService.js
+const Part = require('../models/Part');
+const Service = require('../models/Service');
+const ServiceType = require('../models/ServiceType');
+const Vehicle = require('../models/Vehicle');
+const { ErrorResponse } = require('../middleware/error');
+const InventoryService = require('./InventoryService');
+const PricingService = require('./PricingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const sameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+// Whether a warranty (item or hand-entered service warranty) runs on a date and
+// did not end when the vehicle was sold
+const isRunning = (warranty, at) => Boolean(warranty && warranty.expiryDate && warranty.expiryDate >= at) &&
+  !(warranty.endedByTransferOn && warranty.endedByTransferOn <= at);
+
+// Whether the warranty of a completed item runs on a date. Transfers recorded before
+// items had their own cut-off only marked the service.
+const isItemRunning = (service, item, at) => isRunning(item.warranty, at) &&
+  !(item.warranty.transferable === false && service.warranty.endedByTransferOn && service.warranty.endedByTransferOn <= at);
+
+// Older services only have the warranty entered by hand on the whole service
+const hasHandEnteredWarranty = service => !service.serviceItems.some(item =>
+  (item.warranty && item.warranty.expiryDate) || item.parts.some(entry => entry.warrantyExpiryDate)
+);
+
+class WarrantyService {
+  /**
+   * Copy the warranty defaults of the service type and catalogue parts onto a
+   * completed item and work out when each one expires
+   * @param {object} serviceItem - Service item (updated in place)
+   * @param {Date} completedAt - Completion time
+   */
+  static async applyItemWarranty(serviceItem, completedAt) {
+    const serviceType = await ServiceType.findById(serviceItem.serviceType).select('warranty');
+    const defaults = serviceType && serviceType.warranty;
+
+    if (defaults && defaults.periodDays) {
+      serviceItem.warranty = {
+        periodDays: defaults.periodDays,
+        terms: defaults.terms,
+        transferable: defaults.transferable !== false,
+        expiryDate: addDays(completedAt, defaults.periodDays)
+      };
+    } else {
+      serviceItem.warranty = undefined;
+    }
+
+    for (const entry of serviceItem.parts) {
+      const part = entry.part ? await Part.findById(entry.part).select('warrantyDays') : null;
+
+      if (part && part.warrantyDays) {
+        entry.warrantyDays = part.warrantyDays;
+        entry.warrantyExpiryDate = addDays(completedAt, part.warrantyDays);
+      } else {
+        entry.warrantyDays = undefined;
+        entry.warrantyExpiryDate = undefined;
+      }
+    }
+  }
+
+  /**
+   * Remove the warranty from an item that is reopened; it starts again on completion
+   * @param {object} serviceItem - Service item (updated in place)
+   */
+  static clearItemWarranty(serviceItem) {
+    serviceItem.warranty = undefined;
+    serviceItem.parts.forEach(entry => {
+      entry.warrantyDays = undefined;
+      entry.warrantyExpiryDate = undefined;
+    });
+  }
+
+  /**
+   * Warranties of earlier services on a vehicle that are still running on a date.
+   * A warranty entered by hand on an older service covers all of its items.
+   * @param {string} vehicleId - Vehicle ID
+   * @param {object} filters - { serviceType, part, date }
+   * @returns {Promise<Array>} - Covering items and parts, soonest expiry first
+   */
+  static async checkCoverage(vehicleId, filters = {}) {
+    const at = filters.date ? new Date(filters.date) : new Date();
+    if (isNaN(at.getTime())) {
+      throw new ErrorResponse('Please provide a valid date', 400);
+    }
+
+    const services = await Service.find({
+      vehicle: vehicleId,
+      status: 'completed',
+      isWarrantyClaim: { $ne: true },
+      $or: [
+        { 'serviceItems.warranty.expiryDate': { $gte: at } },
+        { 'serviceItems.parts.warrantyExpiryDate': { $gte: at } },
+        { 'warranty.expiryDate': { $gte: at } }
+      ]
+    })
+      .populate('serviceItems.serviceType', 'name category')
+      .populate('branch', 'name');
+
+    const coverage = [];
+
+    services.forEach(service => {
+      const handEntered = hasHandEnteredWarranty(service);
+
+      service.serviceItems.forEach(item => {
+        if (item.status !== 'completed') return;
+        if (filters.serviceType && !sameId(item.serviceType, filters.serviceType)) return;
+
+        const base = {
+          service: service._id,
+          branch: service.branch,
+          serviceItem: item._id,
+          serviceType: item.serviceType,
+          description: item.description,
+          completionDate: item.completionTime || service.completionDate,
+          mileageAtService: service.mileageAtService
+        };
+
+        if (!filters.part && isItemRunning(service, item, at)) {
+          coverage.push({
+            ...base,
+            coverage: 'service',
+            expiryDate: item.warranty.expiryDate,
+            daysRemaining: Math.floor((item.warranty.expiryDate - at) / DAY_MS),
+            terms: item.warranty.terms
+          });
+        }
+
+        if (!filters.part && handEntered && isRunning(service.warranty, at)) {
+          coverage.push({
+            ...base,
+            coverage: 'manual',
+            expiryDate: service.warranty.expiryDate,
+            daysRemaining: Math.floor((service.warranty.expiryDate - at) / DAY_MS),
+            terms: service.warranty.terms
+          });
+        }
+
+        item.parts.forEach(entry => {
+          if (!entry.warrantyExpiryDate || entry.warrantyExpiryDate < at) return;
+          if (filters.part && !sameId(entry.part, filters.part)) return;
+
+          coverage.push({
+            ...base,
+            coverage: 'part',
+            part: entry.part,
+            partEntry: entry._id,
+            partName: entry.name,
+            expiryDate: entry.warrantyExpiryDate,
+            daysRemaining: Math.floor((entry.warrantyExpiryDate - at) / DAY_MS)
+          });
+        });
+      });
+    });
+
+    return coverage.sort((a, b) => a.expiryDate - b.expiryDate);
+  }
+
+  /**
+   * Make sure an item of a service is still under warranty before rework is opened
+   * @param {object} service - Original service
+   * @param {string} serviceItemId - Service item ID
+   * @param {Date} at - Claim date
+   * @returns {object} - Service item
+   */
+  static assertCovered(service, serviceItemId, at) {
+    if (service.isWarrantyClaim) {
+      throw new ErrorResponse('Open the warranty claim against the original service', 400);
+    }
+
+    if (service.status !== 'completed') {
+      throw new ErrorResponse('Only completed services are under warranty', 400);
+    }
+
+    const serviceItem = service.serviceItems.id(serviceItemId);
+    if (!serviceItem) {
+      throw new ErrorResponse(`Service item not found with id of ${serviceItemId}`, 404);
+    }
+
+    const covered = isItemRunning(service, serviceItem, at) ||
+      serviceItem.parts.some(entry => entry.warrantyExpiryDate && entry.warrantyExpiryDate >= at) ||
+      (hasHandEnteredWarranty(service) && isRunning(service.warranty, at));
+
+    if (!covered) {
+      const ended = [serviceItem.warranty, service.warranty].some(warranty =>
+        warranty && warranty.endedByTransferOn && warranty.endedByTransferOn <= at && warranty.expiryDate >= at
+      );
+      throw new ErrorResponse(ended
+        ? 'The warranty on this service item ended when the vehicle changed owner'
+        : 'This service item is not under warranty', 400);
+    }
+
+    return serviceItem;
+  }
+
+  /**
+   * Open a warranty claim: a new service for the rework, linked to the original and
+   * billed at zero to the customer
+   * @param {object} original - Original service
+   * @param {object} data - { serviceItem, reason, description, laborHours, parts, mileageAtService, estimatedCompletionDate, branch }
+   * @param {object} user - User opening the claim
+   * @returns {Promise<object>} - Warranty claim service
+   */
+  static async openClaim(original, data = {}, user) {
+    if (!data.reason) {
+      throw new ErrorResponse('Please provide the reason for the warranty claim', 400);
+    }
+
+    const originalItem = this.assertCovered(original, data.serviceItem, new Date());
+
+    const vehicle = await Vehicle.findById(original.vehicle);
+    if (!vehicle) {
+      throw new ErrorResponse(`Vehicle not found with id of ${original.vehicle}`, 404);
+    }
+
+    // Non-admins open the claim at their own branch, which may not be where the work was done
+    const branch = (user.role === 'admin' && data.branch) || user.branch || original.branch;
+
+    // Priced like any other job so the cost to the workshop is known
+    const pricingSettings = await PricingService.getPricingSettings();
+    const item = {
+      serviceType: originalItem.serviceType,
+      description: data.description || `Warranty rework: ${originalItem.description}`,
+      laborHours: data.laborHours
+    };
+    await PricingService.priceServiceItem(item, vehicle, user, pricingSettings);
+    item.parts = await InventoryService.prepareParts(data.parts, pricingSettings);
+    await InventoryService.reserveParts(branch, item.parts);
+
+    let service;
+    try {
+      service = await Service.create({
+        vehicle: vehicle._id,
+        branch,
+        serviceItems: [item],
+        mileageAtService: data.mileageAtService !== undefined ? data.mileageAtService : vehicle.mileage,
+        estimatedCompletionDate: data.estimatedCompletionDate ||
+          new Date(Date.now() + Math.max(item.laborHours || 0, 1) * 60 * 60 * 1000),
+        isWarrantyClaim: true,
+        warrantyClaim: {
+          originalService: original._id,
+          originalServiceItem: originalItem._id,
+          reason: data.reason,
+          openedBy: user.id
+        },
+        notes: [{
+          content: `Warranty claim on service ${original._id}: ${data.reason}`,
+          createdBy: user.id
+        }],
+        totalCost: 0 // Warranty claims are never billed
+      });
+    } catch (error) {
+      await InventoryService.releaseParts(branch, item.parts);
+      throw error;
+    }
+
+    vehicle.status = 'in_service';
+    await vehicle.save();
+
+    return service;
+  }
+}
+
+module.exports = WarrantyService;
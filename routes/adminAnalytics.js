@@ -582,13 +582,16 @@ router.get('/staff-performance', protect, authorize('admin'), async (req, res, n
 
             // Services where staff participated
             const services = await Service.find(servicesQuery)
-                .populate('serviceItems.serviceType', 'name category creditPoints')
+                .populate('serviceItems.serviceType', 'name category creditPoints estimatedTime')
                 .populate('branch', 'name');
 
             // Initialize counters
             let totalServiceItems = 0;
             let completedServiceItems = 0;
             let totalLaborHours = 0;
+            let clockedHours = 0;
+            let estimatedHoursForClocked = 0;
+            let clockedServiceItems = 0;
             let totalCreditPointsEarned = 0;
             let serviceRevenue = 0;
             const serviceTypeBreakdown = {};
@@ -613,6 +616,20 @@ router.get('/staff-performance', protect, authorize('admin'), async (req, res, n
                             totalLaborHours += serviceItem.laborHours;
                             totalCreditPointsEarned += techInfo.creditPoints || 0;
 
+                            // Actual vs estimated hours from the time clock; the estimate is
+                            // attributed by this technician's part of the clocked hours
+                            const sessions = serviceItem.workSessions || [];
+                            const itemHours = sessions.reduce((total, session) => total + (session.hours || 0), 0);
+                            const ownHours = sessions
+                                .filter(session => session.technician.toString() === staff._id.toString())
+                                .reduce((total, session) => total + (session.hours || 0), 0);
+
+                            if (ownHours > 0 && serviceItem.serviceType.estimatedTime) {
+                                clockedServiceItems++;
+                                clockedHours += ownHours;
+                                estimatedHoursForClocked += serviceItem.serviceType.estimatedTime * ownHours / itemHours;
+                            }
+
                             // Calculate revenue contribution (divide by number of technicians)
                             const technicianCount = serviceItem.technicians.length;
                             const laborRevenue = serviceItem.laborCost / technicianCount;
@@ -750,6 +767,15 @@ router.get('/staff-performance', protect, authorize('admin'), async (req, res, n
                     productivity: {
                         revenuePerHour: productivityPerHour.toFixed(2)
                     },
+                    timeClock: {
+                        serviceItems: clockedServiceItems,
+                        actualHours: clockedHours.toFixed(2),
+                        estimatedHours: estimatedHoursForClocked.toFixed(2),
+                        // Above 100 means faster than estimated
+                        efficiencyPercentage: clockedHours > 0
+                            ? ((estimatedHoursForClocked / clockedHours) * 100).toFixed(2)
+                            : null
+                    },
                     serviceTimeMetrics: completedServicesWithTimes.length > 0 ? {
                         average: completedServicesWithTimes[0].avgCompletionTime.toFixed(2),
                         minimum: completedServicesWithTimes[0].minCompletionTime.toFixed(2),
@@ -1097,6 +1123,77 @@ router.get('/complaint-analytics', protect, authorize('admin'), async (req, res,
             }
         ]);
 
+        // 5. SLA Compliance (complaints filed under an SLA policy)
+        // Met: done by the due date; breached: done late, or still open after it
+        const now = new Date();
+        const slaOutcome = (doneAt, dueDate) => ({
+            $switch: {
+                branches: [
+                    { case: { $and: [{ $ifNull: [doneAt, false] }, { $lte: [doneAt, dueDate] }] }, then: 'met' },
+                    { case: { $or: [{ $ifNull: [doneAt, false] }, { $lt: [dueDate, now] }] }, then: 'breached' }
+                ],
+                default: 'pending'
+            }
+        });
+        const countOf = (field, outcome) => ({ $sum: { $cond: [{ $eq: [field, outcome] }, 1, 0] } });
+
+        const slaByPriority = await Complaint.aggregate([
+            {
+                $match: {
+                    'sla.policy': { $ne: null },
+                    createdAt: { $gte: startDate, $lte: endDate }
+                }
+            },
+            {
+                $project: {
+                    priority: 1,
+                    response: slaOutcome('$sla.respondedAt', '$sla.responseDueDate'),
+                    resolution: slaOutcome('$sla.resolvedAt', '$dueDate'),
+                    autoEscalated: { $cond: [{ $eq: ['$escalated.automatic', true] }, 1, 0] }
+                }
+            },
+            {
+                $group: {
+                    _id: '$priority',
+                    total: { $sum: 1 },
+                    responseMet: countOf('$response', 'met'),
+                    responseBreached: countOf('$response', 'breached'),
+                    resolutionMet: countOf('$resolution', 'met'),
+                    resolutionBreached: countOf('$resolution', 'breached'),
+                    autoEscalated: { $sum: '$autoEscalated' }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    priority: '$_id',
+                    total: 1,
+                    responseMet: 1,
+                    responseBreached: 1,
+                    resolutionMet: 1,
+                    resolutionBreached: 1,
+                    autoEscalated: 1
+                }
+            }
+        ]);
+
+        // Share of decided complaints (met or breached) that met the SLA
+        const complianceRate = (met, breached) => met + breached > 0
+            ? Number(((met / (met + breached)) * 100).toFixed(2))
+            : null;
+
+        const slaTotals = slaByPriority.reduce((totals, row) => {
+            ['total', 'responseMet', 'responseBreached', 'resolutionMet', 'resolutionBreached', 'autoEscalated']
+                .forEach(field => { totals[field] += row[field]; });
+            return totals;
+        }, { total: 0, responseMet: 0, responseBreached: 0, resolutionMet: 0, resolutionBreached: 0, autoEscalated: 0 });
+
+        const withRates = row => ({
+            ...row,
+            responseCompliance: complianceRate(row.responseMet, row.responseBreached),
+            resolutionCompliance: complianceRate(row.resolutionMet, row.resolutionBreached)
+        });
+
         res.status(200).json({
             success: true,
             data: {
@@ -1110,6 +1207,10 @@ router.get('/complaint-analytics', protect, authorize('admin'), async (req, res,
                 satisfactionMetrics: satisfactionMetrics[0] || { // Handle empty result
                     averageRating: 0,
                     totalFeedbackCount: 0
+                },
+                slaCompliance: {
+                    ...withRates(slaTotals),
+                    byPriority: slaByPriority.map(withRates)
                 }
             }
         });
@@ -1133,6 +1234,7 @@ router.get('/revenue-analytics', protect, authorize('admin'), async (req, res, n
             {
                 $match: {
                     status: 'completed',
+                    isWarrantyClaim: { $ne: true },
                     createdAt: { $gte: startDate, $lte: endDate }
                 }
             },
@@ -1155,6 +1257,7 @@ router.get('/revenue-analytics', protect, authorize('admin'), async (req, res, n
             {
                 $match: {
                     status: 'completed',
+                    isWarrantyClaim: { $ne: true },
                     createdAt: { $gte: startDate, $lte: endDate }
                 }
             },
@@ -1193,6 +1296,7 @@ router.get('/revenue-analytics', protect, authorize('admin'), async (req, res, n
             {
                 $match: {
                     status: 'completed',
+                    isWarrantyClaim: { $ne: true },
                     createdAt: { $gte: startDate, $lte: endDate }
                 }
             },
@@ -1275,6 +1379,74 @@ router.get('/revenue-analytics', protect, authorize('admin'), async (req, res, n
             }
         ]);
 
+        // 6. Warranty claims: rework billed at zero, reported as a cost instead of revenue
+        const warrantyClaims = await Service.aggregate([
+            {
+                $match: {
+                    status: 'completed',
+                    isWarrantyClaim: true,
+                    createdAt: { $gte: startDate, $lte: endDate }
+                }
+            },
+            { $unwind: '$serviceItems' },
+            {
+                $group: {
+                    _id: '$serviceItems.serviceType',
+                    claims: { $addToSet: '$_id' },
+                    cost: {
+                        $sum: {
+                            $add: ['$serviceItems.laborCost', { $sum: '$serviceItems.parts.totalCost' }]
+                        }
+                    }
+                }
+            },
+            {
+                $lookup: {
+                    from: 'servicetypes',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'serviceTypeInfo'
+                }
+            },
+            { $unwind: '$serviceTypeInfo' },
+            {
+                $project: {
+                    _id: 0,
+                    serviceTypeId: '$_id',
+                    serviceTypeName: '$serviceTypeInfo.name',
+                    count: { $size: '$claims' },
+                    cost: { $round: ['$cost', 2] }
+                }
+            },
+            {
+                $sort: { cost: -1 }
+            }
+        ]);
+
+        const warrantyTotals = await Service.aggregate([
+            {
+                $match: {
+                    status: 'completed',
+                    isWarrantyClaim: true,
+                    createdAt: { $gte: startDate, $lte: endDate }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    totalCost: { $sum: '$warrantyCost' },
+                    count: { $sum: 1 }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    totalCost: { $round: ['$totalCost', 2] },
+                    count: 1
+                }
+            }
+        ]);
+
         res.status(200).json({
             success: true,
             data: {
@@ -1282,7 +1454,11 @@ router.get('/revenue-analytics', protect, authorize('admin'), async (req, res, n
                 revenueByBranch,
                 revenueByServiceType,
                 paymentMethodDistribution,
-                outstandingPayments: outstandingPayments[0] || { totalOutstanding: 0, count: 0 }
+                outstandingPayments: outstandingPayments[0] || { totalOutstanding: 0, count: 0 },
+                warrantyClaims: {
+                    ...(warrantyTotals[0] || { totalCost: 0, count: 0 }),
+                    byServiceType: warrantyClaims
+                }
             }
         });
 
@@ -0,0 +1,411 @@
+const express = require('express');
+const router = express.Router();
+const { Appointment, Vehicle, Service, ServiceType } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+const AppointmentService = require('./AppointmentService');
+const InventoryService = require('./InventoryService');
+const ServiceItemWorkflow = require('./ServiceItemWorkflow');
+const TechnicianRecommendationService = require('./TechnicianRecommendationService');
+const PricingService = require('./PricingService');
+
+// @desc    Get available appointment slots for a branch on a day
+// @route   GET /api/v1/appointments/availability?branch=&date=YYYY-MM-DD
+// @access  Private
+router.get('/availability', protect, async (req, res, next) => {
+  try {
+    const branch = req.query.branch || req.user.branch;
+
+    const availability = await AppointmentService.getAvailability(branch, req.query.date);
+
+    res.status(200).json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get all appointments
+// @route   GET /api/v1/appointments
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    const query = {};
+
+    // Filter by branch
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    // Filter by vehicle
+    if (req.query.vehicle) {
+      query.vehicle = req.query.vehicle;
+    }
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Filter by a single day
+    if (req.query.date) {
+      const day = AppointmentService.parseDay(req.query.date);
+      query.scheduledStart = {
+        $gte: day,
+        $lt: new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)
+      };
+    }
+
+    const total = await Appointment.countDocuments(query);
+
+    const appointments = await Appointment.find(query)
+      .populate('vehicle', 'registrationNumber make model owner')
+      .populate('serviceTypes', 'name estimatedTime')
+      .populate('branch', 'name')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ scheduledStart: 1 });
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      pagination,
+      data: appointments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single appointment
+// @route   GET /api/v1/appointments/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('vehicle', 'registrationNumber make model owner')
+      .populate('serviceTypes', 'name estimatedTime basePrice')
+      .populate('branch', 'name')
+      .populate('bookedBy', 'firstName lastName')
+      .populate('service', 'status startDate');
+
+    if (!appointment) {
+      return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Book appointment
+// @route   POST /api/v1/appointments
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    // Add branch from user if not provided
+    const branch = req.body.branch || req.user.branch;
+
+    // Make sure user is admin or books for their own branch
+    if (req.user.role !== 'admin' && branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to book appointments for this branch', 403));
+    }
+
+    const vehicle = await Vehicle.findById(req.body.vehicle);
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.body.vehicle}`, 404));
+    }
+
+    const slot = await AppointmentService.findBookableSlot(branch, req.body.scheduledStart);
+    await AppointmentService.claimSlot(branch, slot);
+
+    let appointment;
+    try {
+      appointment = await Appointment.create({
+        branch,
+        vehicle: vehicle._id,
+        serviceTypes: req.body.serviceTypes,
+        scheduledStart: slot.start,
+        scheduledEnd: slot.end,
+        contact: req.body.contact || {
+          name: vehicle.owner.name,
+          phone: vehicle.owner.phone,
+          email: vehicle.owner.email
+        },
+        notes: req.body.notes,
+        bookedBy: req.user.id
+      });
+    } catch (error) {
+      await AppointmentService.unclaimSlot(branch, slot);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reschedule appointment
+// @route   PUT /api/v1/appointments/:id/reschedule
+// @access  Private
+router.put('/:id/reschedule', protect, async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && appointment.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to reschedule this appointment', 403));
+    }
+
+    if (appointment.status !== 'booked') {
+      return next(new ErrorResponse(`Cannot reschedule an appointment that is ${appointment.status}`, 400));
+    }
+
+    const slot = await AppointmentService.findBookableSlot(
+      appointment.branch,
+      req.body.scheduledStart,
+      appointment._id
+    );
+
+    // Moving within the same slot keeps the place already held
+    const previous = {
+      branch: appointment.branch,
+      scheduledStart: appointment.scheduledStart,
+      scheduledEnd: appointment.scheduledEnd
+    };
+    const slotChanged = slot.start.getTime() !== appointment.scheduledStart.getTime() ||
+      slot.end.getTime() !== appointment.scheduledEnd.getTime();
+    if (slotChanged) {
+      await AppointmentService.claimSlot(appointment.branch, slot);
+    }
+
+    appointment.rescheduleHistory.push({
+      from: appointment.scheduledStart,
+      to: slot.start,
+      reason: req.body.reason,
+      rescheduledBy: req.user.id
+    });
+    appointment.scheduledStart = slot.start;
+    appointment.scheduledEnd = slot.end;
+
+    try {
+      await appointment.save();
+    } catch (error) {
+      if (slotChanged) {
+        await AppointmentService.unclaimSlot(appointment.branch, slot);
+      }
+      throw error;
+    }
+
+    if (slotChanged) {
+      await AppointmentService.releaseSlot(previous, slot);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Cancel appointment
+// @route   PUT /api/v1/appointments/:id/cancel
+// @access  Private
+router.put('/:id/cancel', protect, async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && appointment.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to cancel this appointment', 403));
+    }
+
+    if (appointment.status !== 'booked') {
+      return next(new ErrorResponse(`Cannot cancel an appointment that is ${appointment.status}`, 400));
+    }
+
+    appointment.status = 'cancelled';
+    appointment.cancellation = {
+      reason: req.body.reason,
+      date: new Date(),
+      cancelledBy: req.user.id
+    };
+
+    await appointment.save();
+    await AppointmentService.releaseSlot(appointment);
+
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark appointment as no-show
+// @route   PUT /api/v1/appointments/:id/no-show
+// @access  Private/Admin, Manager
+router.put('/:id/no-show', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && appointment.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this appointment', 403));
+    }
+
+    if (appointment.status !== 'booked') {
+      return next(new ErrorResponse(`Cannot mark an appointment that is ${appointment.status} as no-show`, 400));
+    }
+
+    appointment.status = 'no_show';
+    await appointment.save();
+    await AppointmentService.releaseSlot(appointment);
+
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Check in appointment and open a service for the vehicle
+// @route   POST /api/v1/appointments/:id/check-in
+// @access  Private
+router.post('/:id/check-in', protect, async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return next(new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && appointment.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to check in this appointment', 403));
+    }
+
+    if (appointment.status !== 'booked') {
+      return next(new ErrorResponse(`Cannot check in an appointment that is ${appointment.status}`, 400));
+    }
+
+    const vehicle = await Vehicle.findById(appointment.vehicle);
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${appointment.vehicle}`, 404));
+    }
+
+    // Pre-fill service items from the booked service types unless the desk supplies them
+    let serviceItems = req.body.serviceItems;
+    let estimatedHours = 0;
+    if (!serviceItems) {
+      const serviceTypes = await ServiceType.find({ _id: { $in: appointment.serviceTypes } });
+      serviceItems = serviceTypes.map(serviceType => {
+        estimatedHours += serviceType.estimatedTime || 0;
+        return {
+          serviceType: serviceType._id,
+          description: appointment.notes || serviceType.name
+        };
+      });
+    }
+
+    // Items and parts are priced and reserved like on a walk-in service
+    const pricingSettings = await PricingService.getPricingSettings();
+    for (const item of serviceItems) {
+      ServiceItemWorkflow.sanitizeNewItem(item);
+      await TechnicianRecommendationService.assertItemQualified(item);
+      await PricingService.priceServiceItem(item, vehicle, req.user, pricingSettings);
+      item.parts = await InventoryService.prepareParts(item.parts, pricingSettings);
+    }
+    const allParts = serviceItems.reduce((parts, item) => parts.concat(item.parts), []);
+    await InventoryService.reserveParts(appointment.branch, allParts);
+
+    let service;
+    try {
+      service = await Service.create({
+        vehicle: vehicle._id,
+        branch: appointment.branch,
+        serviceItems,
+        mileageAtService: req.body.mileageAtService !== undefined ? req.body.mileageAtService : vehicle.mileage,
+        estimatedCompletionDate: req.body.estimatedCompletionDate ||
+          new Date(Date.now() + Math.max(estimatedHours, 1) * 60 * 60 * 1000),
+        notes: appointment.notes ? [{ content: appointment.notes, createdBy: req.user.id }] : [],
+        totalCost: 0 // Recalculated from the service items on save
+      });
+    } catch (error) {
+      await InventoryService.releaseParts(appointment.branch, allParts);
+      throw error;
+    }
+
+    // Update vehicle status like a walk-in service
+    vehicle.status = 'in_service';
+    await vehicle.save();
+
+    appointment.status = 'checked_in';
+    appointment.checkIn = {
+      date: new Date(),
+      checkedInBy: req.user.id
+    };
+    appointment.service = service._id;
+    await appointment.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        appointment,
+        service
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { Branch, User, Vehicle, Service, Complaint } = require('../models');
 const { protect, authorize, ErrorResponse } = require('../middleware');
+const JobBoardService = require('./JobBoardService');
 
 // @desc    Get all branches
 // @route   GET /api/v1/branches
@@ -199,4 +200,25 @@ router.get('/:id/stats', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Get branch job board (open service items by technician and status)
+// @route   GET /api/v1/branches/:id/job-board
+// @access  Private
+router.get('/:id/job-board', protect, async (req, res, next) => {
+  try {
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && (!req.user.branch || req.user.branch.toString() !== req.params.id)) {
+      return next(new ErrorResponse('Not authorized to view the job board of this branch', 403));
+    }
+
+    const board = await JobBoardService.getBoard(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: board
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
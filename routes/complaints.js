@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { Complaint } = require('../models');
-const { protect, authorize, ErrorResponse } = require('../middleware');
+const { protect, authorize, ErrorResponse, uploadAttachments } = require('../middleware');
+const AttachmentService = require('./AttachmentService');
+const ComplaintSlaService = require('./ComplaintSlaService');
+const VehicleOwnershipService = require('./VehicleOwnershipService');
 
 // @desc    Get all complaints
 // @route   GET /api/v1/complaints
@@ -49,6 +52,12 @@ router.get('/', protect, async (req, res, next) => {
       }
     }
 
+    // Only complaints past their resolution due date
+    if (req.query.overdue === 'true') {
+      query.status = { $in: ['open', 'in_progress'] };
+      query.dueDate = { $lt: new Date() };
+    }
+
     // Filter by date range
     if (req.query.startDate && req.query.endDate) {
       query.createdAt = {
@@ -96,6 +105,22 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Escalate open complaints that missed their SLA now instead of waiting for the scheduled check
+// @route   POST /api/v1/complaints/escalate-breached
+// @access  Private/Admin
+router.post('/escalate-breached', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const result = await ComplaintSlaService.escalateBreached();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get single complaint
 // @route   GET /api/v1/complaints/:id
 // @access  Private
@@ -105,7 +130,7 @@ router.get('/:id', protect, async (req, res, next) => {
       .populate('filedBy', 'firstName lastName email')
       .populate('assignedTo', 'firstName lastName email')
       .populate('branch', 'name')
-      .populate('vehicle', 'registrationNumber make model owner')
+      .populate('vehicle', 'registrationNumber make model owner customer ownershipTransfers')
       .populate('service', 'serviceType description startDate status')
       .populate({
         path: 'timeline',
@@ -114,21 +139,20 @@ router.get('/:id', protect, async (req, res, next) => {
           select: 'firstName lastName'
         }
       })
-      .populate({
-        path: 'attachments',
-        populate: {
-          path: 'uploadedBy',
-          select: 'firstName lastName'
-        }
-      });
+      .populate('attachments.uploadedBy', 'firstName lastName');
 
     if (!complaint) {
       return next(new ErrorResponse(`Complaint not found with id of ${req.params.id}`, 404));
     }
 
+    // Show who owned the vehicle when the complaint was filed, even if it was sold since
+    const data = complaint.vehicle
+      ? VehicleOwnershipService.withOwnerAt(complaint.vehicle, [complaint], 'createdAt', 'ownerAtComplaint')[0]
+      : complaint;
+
     res.status(200).json({
       success: true,
-      data: complaint
+      data
     });
   } catch (error) {
     next(error);
@@ -146,7 +170,14 @@ router.post('/', protect, async (req, res, next) => {
       req.body.branch = req.user.branch;
     }
 
-    const complaint = await Complaint.create(req.body);
+    // SLA state is tracked by the server
+    delete req.body.sla;
+    delete req.body.escalated;
+
+    // Due dates follow the SLA policy for the priority and category
+    const complaint = new Complaint(req.body);
+    await ComplaintSlaService.applyPolicy(complaint);
+    await complaint.save();
 
     res.status(201).json({
       success: true,
@@ -177,6 +208,41 @@ router.put('/:id', protect, async (req, res, next) => {
       return next(new ErrorResponse('Not authorized to update this complaint', 403));
     }
 
+    // Attachments are uploaded and deleted through their own endpoints
+    delete req.body.attachments;
+    delete req.body.escalated;
+
+    // Only managers can move a deadline by hand
+    if (req.body.dueDate !== undefined && !['admin', 'manager'].includes(req.user.role)) {
+      return next(new ErrorResponse('Not authorized to change the due date of this complaint', 403));
+    }
+
+    // Deadlines are recalculated when the priority or category changes
+    const sla = complaint.toObject().sla || {};
+    if ((req.body.priority && req.body.priority !== complaint.priority) ||
+        (req.body.category && req.body.category !== complaint.category)) {
+      const due = await ComplaintSlaService.calculateDueDates({
+        branch: complaint.branch,
+        priority: req.body.priority || complaint.priority,
+        category: req.body.category || complaint.category,
+        createdAt: complaint.createdAt
+      });
+
+      if (due) {
+        sla.policy = due.policy;
+        sla.responseDueDate = due.responseDueDate;
+        req.body.dueDate = due.dueDate;
+      }
+    }
+
+    req.body.sla = {
+      ...sla,
+      ...Complaint.trackSla(sla, {
+        status: req.body.status || complaint.status,
+        assignedTo: req.body.assignedTo || complaint.assignedTo
+      })
+    };
+
     // Add status change to timeline if status is being updated
     if (req.body.status && req.body.status !== complaint.status) {
       req.body.timeline = [
@@ -214,7 +280,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
       return next(new ErrorResponse(`Complaint not found with id of ${req.params.id}`, 404));
     }
 
-    await complaint.remove();
+    await complaint.deleteOne();
+    await AttachmentService.removeAll(complaint);
 
     res.status(200).json({
       success: true,
@@ -225,10 +292,10 @@ router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
   }
 });
 
-// @desc    Add complaint attachment
+// @desc    Upload complaint attachments (multipart, field "files")
 // @route   POST /api/v1/complaints/:id/attachments
 // @access  Private
-router.post('/:id/attachments', protect, async (req, res, next) => {
+router.post('/:id/attachments', protect, uploadAttachments, async (req, res, next) => {
   try {
     const complaint = await Complaint.findById(req.params.id);
 
@@ -236,18 +303,60 @@ router.post('/:id/attachments', protect, async (req, res, next) => {
       return next(new ErrorResponse(`Complaint not found with id of ${req.params.id}`, 404));
     }
 
-    // Add attachment
-    complaint.attachments.push({
-      filename: req.body.filename,
-      path: req.body.path,
-      uploadedBy: req.user.id
+    AttachmentService.assertAccess(complaint, req.user, 'complaint');
+
+    const attachments = await AttachmentService.add(complaint, 'complaints', req.files, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      count: attachments.length,
+      data: attachments
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    await complaint.save();
+// @desc    Download complaint attachment (?thumbnail=true for the image preview)
+// @route   GET /api/v1/complaints/:id/attachments/:attachmentId
+// @access  Private
+router.get('/:id/attachments/:attachmentId', protect, async (req, res, next) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return next(new ErrorResponse(`Complaint not found with id of ${req.params.id}`, 404));
+    }
+
+    AttachmentService.assertAccess(complaint, req.user, 'complaint');
+
+    const attachment = AttachmentService.getAttachment(complaint, req.params.attachmentId);
+    const file = await AttachmentService.open(attachment, req.query.thumbnail === 'true');
+
+    AttachmentService.send(res, file, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete complaint attachment
+// @route   DELETE /api/v1/complaints/:id/attachments/:attachmentId
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', protect, async (req, res, next) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return next(new ErrorResponse(`Complaint not found with id of ${req.params.id}`, 404));
+    }
+
+    AttachmentService.assertAccess(complaint, req.user, 'complaint');
+
+    await AttachmentService.remove(complaint, req.params.attachmentId, req.user);
 
     res.status(200).json({
       success: true,
-      data: complaint.attachments[complaint.attachments.length - 1]
+      data: {}
     });
   } catch (error) {
     next(error);
@@ -265,12 +374,15 @@ router.put('/:id/escalate', protect, async (req, res, next) => {
       return next(new ErrorResponse(`Complaint not found with id of ${req.params.id}`, 404));
     }
 
+    const manager = await ComplaintSlaService.findBranchManager(complaint.branch);
+
     // Update escalation status
     complaint.escalated = {
       status: true,
       date: new Date(),
       reason: req.body.reason,
-      escalatedBy: req.user.id
+      escalatedBy: req.user.id,
+      escalatedTo: manager ? manager._id : undefined
     };
 
     // Add to timeline
@@ -0,0 +1,294 @@
+const express = require('express');
+const router = express.Router();
+const { Customer, Vehicle } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+const CustomerService = require('./CustomerService');
+
+// @desc    Get all customers
+// @route   GET /api/v1/customers
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    const query = {};
+
+    // Search by name, email or phone
+    if (req.query.search) {
+      query.$or = [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { email: { $regex: req.query.search, $options: 'i' } },
+        { phone: { $regex: req.query.search, $options: 'i' } },
+        { alternatePhones: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    // Filter by branch
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    // Filter by active status
+    if (req.query.isActive) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const total = await Customer.countDocuments(query);
+
+    const customers = await Customer.find(query)
+      .populate('vehicles', 'registrationNumber make model year')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ name: 1 });
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: customers.length,
+      pagination,
+      data: customers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create customers from vehicle owner details, merging duplicates by email/phone
+// @route   POST /api/v1/customers/migrate
+// @access  Private/Admin
+router.post('/migrate', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const result = await CustomerService.migrateVehicleOwners();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single customer with vehicles
+// @route   GET /api/v1/customers/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id)
+      .populate('branch', 'name')
+      .populate('vehicles', 'registrationNumber make model year type status mileage nextServiceDue')
+      .populate('notes.createdBy', 'firstName lastName');
+
+    if (!customer) {
+      return next(new ErrorResponse(`Customer not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create customer
+// @route   POST /api/v1/customers
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    // Add branch from user if not provided
+    if (!req.body.branch) {
+      req.body.branch = req.user.branch;
+    }
+
+    const duplicate = await CustomerService.findMatch(req.body);
+    if (duplicate) {
+      return next(new ErrorResponse(`A customer with this email or phone already exists (${duplicate._id})`, 400));
+    }
+
+    const { notes, ...details } = req.body;
+    const customer = await Customer.create(details);
+
+    res.status(201).json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update customer (owner details on the customer's vehicles follow)
+// @route   PUT /api/v1/customers/:id
+// @access  Private
+router.put('/:id', protect, async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return next(new ErrorResponse(`Customer not found with id of ${req.params.id}`, 404));
+    }
+
+    // Only a changed email or phone can clash with another customer
+    const duplicate = await CustomerService.findMatch(
+      { email: req.body.email, phone: req.body.phone },
+      customer._id
+    );
+    if (duplicate) {
+      return next(new ErrorResponse(`A customer with this email or phone already exists (${duplicate._id})`, 400));
+    }
+
+    const { notes, ...updates } = req.body;
+    customer.set(updates);
+    await customer.save();
+
+    await CustomerService.syncVehicles(customer);
+
+    res.status(200).json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete customer
+// @route   DELETE /api/v1/customers/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return next(new ErrorResponse(`Customer not found with id of ${req.params.id}`, 404));
+    }
+
+    const vehicleCount = await Vehicle.countDocuments({ customer: customer._id });
+    if (vehicleCount > 0) {
+      return next(new ErrorResponse(`Cannot delete a customer with ${vehicleCount} vehicles. Consider marking it as inactive instead.`, 400));
+    }
+
+    await customer.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add note to customer
+// @route   POST /api/v1/customers/:id/notes
+// @access  Private
+router.post('/:id/notes', protect, async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return next(new ErrorResponse(`Customer not found with id of ${req.params.id}`, 404));
+    }
+
+    customer.notes.push({
+      content: req.body.content,
+      createdBy: req.user.id
+    });
+    await customer.save();
+
+    res.status(200).json({
+      success: true,
+      data: customer.notes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get customer vehicles
+// @route   GET /api/v1/customers/:id/vehicles
+// @access  Private
+router.get('/:id/vehicles', protect, async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return next(new ErrorResponse(`Customer not found with id of ${req.params.id}`, 404));
+    }
+
+    const vehicles = await Vehicle.find({ customer: customer._id })
+      .populate('branch', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: vehicles.length,
+      data: vehicles
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Build a handler listing one kind of history for all vehicles of a customer
+ * @param {string} kind - services, invoices or complaints
+ * @returns {Function} - Express handler
+ */
+const customerHistory = kind => async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return next(new ErrorResponse(`Customer not found with id of ${req.params.id}`, 404));
+    }
+
+    const records = await CustomerService.getHistory(customer._id, kind);
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get services for all vehicles of a customer
+// @route   GET /api/v1/customers/:id/services
+// @access  Private
+router.get('/:id/services', protect, customerHistory('services'));
+
+// @desc    Get invoices for all vehicles of a customer
+// @route   GET /api/v1/customers/:id/invoices
+// @access  Private
+router.get('/:id/invoices', protect, customerHistory('invoices'));
+
+// @desc    Get complaints for all vehicles of a customer
+// @route   GET /api/v1/customers/:id/complaints
+// @access  Private
+router.get('/:id/complaints', protect, customerHistory('complaints'));
+
+module.exports = router;
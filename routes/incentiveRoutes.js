@@ -3,19 +3,26 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const { ErrorResponse } = require('../middleware/error');
 const {
+  User,
   IncentivePolicy,
   StaffCategory,
   MonthlySalary,
   MonthlyTarget
 } = require('../models');
+const IncentiveCalculationService = require('./IncentiveCalculationService');
+const { BUILT_IN_VARIABLES, validateFormula, evaluateFormula } = require('../utils/formulaEngine');
 
-// @desc    Get all incentive policies
+// @desc    Get all incentive policies (latest versions, ?allVersions=true for history)
 // @route   GET /api/v1/incentives/policies
 // @access  Private (Admin, HR, Manager)
 router.get('/policies', protect, authorize('admin', 'hr', 'manager'), async (req, res, next) => {
   try {
-    const policies = await IncentivePolicy.find()
+    // Only the latest version of each policy unless all versions are requested
+    const query = req.query.allVersions === 'true' ? {} : { supersededBy: null };
+    
+    const policies = await IncentivePolicy.find(query)
       .populate('applicableCategories', 'name')
       .populate('serviceTypeMultipliers.serviceType', 'name');
     
@@ -29,6 +36,76 @@ router.get('/policies', protect, authorize('admin', 'hr', 'manager'), async (req
   }
 });
 
+// @desc    Resolve which policy version applied to a staff category in a month
+// @route   GET /api/v1/incentives/policies/resolve?category=&month=&year=
+// @access  Private (Admin, HR, Manager)
+router.get('/policies/resolve', protect, authorize('admin', 'hr', 'manager'), async (req, res, next) => {
+  try {
+    const month = parseInt(req.query.month, 10);
+    const year = parseInt(req.query.year, 10);
+    
+    if (!req.query.category || !month || !year || month < 1 || month > 12) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide category, month and year'
+      });
+    }
+    
+    const policy = await IncentiveCalculationService.findApplicablePolicy(req.query.category, month, year);
+    
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: `No incentive policy applied to this staff category in ${month}/${year}`
+      });
+    }
+    
+    await policy.populate('applicableCategories', 'name');
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        category: req.query.category,
+        month,
+        year,
+        policyKey: policy.policyKey,
+        version: policy.version,
+        policy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get every version of an incentive policy
+// @route   GET /api/v1/incentives/policies/:id/versions
+// @access  Private (Admin, HR, Manager)
+router.get('/policies/:id/versions', protect, authorize('admin', 'hr', 'manager'), async (req, res, next) => {
+  try {
+    const policy = await IncentivePolicy.findById(req.params.id);
+    
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incentive policy not found'
+      });
+    }
+    
+    const versions = await IncentivePolicy.find({ policyKey: policy.policyKey })
+      .populate('createdBy', 'firstName lastName')
+      .sort({ version: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get single incentive policy
 // @route   GET /api/v1/incentives/policies/:id
 // @access  Private (Admin, HR, Manager)
@@ -62,7 +139,13 @@ router.post('/policies', protect, authorize('admin', 'hr'), async (req, res, nex
   try {
     // Add logged in user as the creator
     req.body.createdBy = req.user.id;
-    console.log("trying to create policies")
+    
+    // New policies always start a fresh version chain
+    delete req.body.policyKey;
+    delete req.body.version;
+    delete req.body.previousVersion;
+    delete req.body.supersededBy;
+    
     const policy = await IncentivePolicy.create(req.body);
     
     res.status(201).json({
@@ -74,22 +157,75 @@ router.post('/policies', protect, authorize('admin', 'hr'), async (req, res, nex
   }
 });
 
-// @desc    Update incentive policy
-// @route   PUT /api/v1/incentives/policies/:id
+// @desc    Validate an incentive formula and return a sample evaluation
+// @route   POST /api/v1/incentives/policies/validate
 // @access  Private (Admin, HR)
-router.put('/policies/:id', protect, authorize('admin', 'hr'), async (req, res, next) => {
+router.post('/policies/validate', protect, authorize('admin', 'hr'), async (req, res, next) => {
   try {
-    // Add logged in user as the updater
-    req.body.updatedBy = req.user.id;
+    let formula = req.body.formulaDefinition;
+    let variables = req.body.variables || [];
     
-    const policy = await IncentivePolicy.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
+    if (!Array.isArray(variables) || variables.some(variable => !variable || typeof variable.name !== 'string')) {
+      return next(new ErrorResponse('Variables must be an array of objects with a name', 400));
+    }
+    
+    // Fall back to an existing policy's formula and variables
+    if (req.body.policyId) {
+      const policy = await IncentivePolicy.findById(req.body.policyId);
+      
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          error: 'Incentive policy not found'
+        });
       }
-    );
+      
+      formula = formula || policy.formulaDefinition;
+      if (!req.body.variables) {
+        variables = policy.variables;
+      }
+    }
+    
+    const result = validateFormula(formula, variables.map(variable => variable.name));
+    
+    let sample = null;
+    if (result.valid) {
+      const scope = { ...BUILT_IN_VARIABLES };
+      variables.forEach(variable => {
+        scope[variable.name] = variable.defaultValue || 0;
+      });
+      Object.assign(scope, req.body.sampleValues);
+      
+      try {
+        sample = {
+          values: scope,
+          result: evaluateFormula(formula, scope)
+        };
+      } catch (error) {
+        result.valid = false;
+        result.errors.push(error.message);
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        builtInVariables: Object.keys(BUILT_IN_VARIABLES),
+        sample
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update incentive policy by creating a new version
+// @route   PUT /api/v1/incentives/policies/:id
+// @access  Private (Admin, HR)
+router.put('/policies/:id', protect, authorize('admin', 'hr'), async (req, res, next) => {
+  try {
+    const policy = await IncentivePolicy.findById(req.params.id);
     
     if (!policy) {
       return res.status(404).json({
@@ -98,9 +234,12 @@ router.put('/policies/:id', protect, authorize('admin', 'hr'), async (req, res,
       });
     }
     
-    res.status(200).json({
+    // Existing versions stay untouched so past months can be reproduced
+    const newVersion = await policy.createVersion(req.body, req.user.id);
+    
+    res.status(201).json({
       success: true,
-      data: policy
+      data: newVersion
     });
   } catch (error) {
     next(error);
@@ -121,7 +260,32 @@ router.delete('/policies/:id', protect, authorize('admin'), async (req, res, nex
       });
     }
     
-    await policy.remove();
+    // Versions used for payroll are part of the audit trail
+    const usedBySalaries = await MonthlySalary.countDocuments({ incentivePolicy: policy._id });
+    if (usedBySalaries > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `This policy version was used for ${usedBySalaries} salary records and cannot be deleted`
+      });
+    }
+    
+    if (policy.supersededBy) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only the latest version of a policy can be deleted'
+      });
+    }
+    
+    await policy.deleteOne();
+    
+    // The previous version becomes the latest again
+    if (policy.previousVersion) {
+      const restore = policy.effectiveTo
+        ? { $unset: { supersededBy: 1 }, $set: { effectiveTo: policy.effectiveTo } }
+        : { $unset: { supersededBy: 1, effectiveTo: 1 } };
+      
+      await IncentivePolicy.updateOne({ _id: policy.previousVersion }, restore);
+    }
     
     res.status(200).json({
       success: true,
@@ -149,22 +313,22 @@ router.get('/staff-categories', protect, authorize('admin', 'hr', 'manager'), as
   }
 });
 
-// @desc    Calculate incentive for a staff member
+// @desc    Calculate incentive for a staff member (dry run by default, pass dryRun: false to save)
 // @route   POST /api/v1/incentives/calculate/:userId
 // @access  Private (Admin, HR, Manager)
 router.post('/calculate/:userId', protect, authorize('admin', 'hr', 'manager'), async (req, res, next) => {
   try {
-    const { month, year } = req.body;
+    const month = parseInt(req.body.month, 10);
+    const year = parseInt(req.body.year, 10);
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
     
-    if (!month || !year) {
+    if (!month || !year || month < 1 || month > 12) {
       return res.status(400).json({
         success: false,
-        error: 'Please provide month and year'
+        error: 'Please provide a valid month and year'
       });
     }
     
-    // This would call the incentive calculation service
-    // We'll implement this in the controller/service
     const user = await User.findById(req.params.userId);
     
     if (!user) {
@@ -174,18 +338,63 @@ router.post('/calculate/:userId', protect, authorize('admin', 'hr', 'manager'),
       });
     }
     
-    // For now, just return a placeholder
-    // In the actual implementation, this would call a service to calculate incentives
-    res.status(200).json({
-      success: true,
-      data: {
-        userId: req.params.userId,
-        staffName: `${user.firstName} ${user.lastName}`,
-        month,
-        year,
-        calculatedIncentive: 0, // Placeholder
-        message: 'Calculation service to be implemented'
+    // Category can be overridden, otherwise use the staff member's primary category
+    const categoryId = req.body.categoryId || user.primaryServiceCategory;
+    
+    if (!categoryId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Staff member has no staff category assigned'
+      });
+    }
+    
+    // Resolve the policy in effect for this category and month unless one is given
+    let policyId = req.body.policyId;
+    if (!policyId) {
+      const policy = await IncentiveCalculationService.findApplicablePolicy(categoryId, month, year);
+      
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          error: `No active incentive policy applies to this staff category for ${month}/${year}`
+        });
+      }
+      
+      policyId = policy._id;
+    }
+    
+    const incentiveData = await IncentiveCalculationService.calculateStaffIncentive(
+      user._id,
+      month,
+      year,
+      categoryId,
+      policyId,
+      {
+        variables: req.body.variables,
+        specialBonus: req.body.specialBonus,
+        specialBonusReason: req.body.specialBonusReason,
+        deductions: req.body.deductions,
+        deductionReason: req.body.deductionReason
       }
+    );
+    
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: {
+          ...incentiveData,
+          staffName: `${user.firstName} ${user.lastName}`
+        }
+      });
+    }
+    
+    const record = await IncentiveCalculationService.saveIncentiveData(incentiveData, req.user.id);
+    
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      data: record
     });
   } catch (error) {
     next(error);
@@ -199,7 +408,11 @@ router.post('/monthly-record', protect, authorize('admin', 'hr'), async (req, re
   try {
     // Add logged in user as the creator
     req.body.createdBy = req.user.id;
-    
+
+    // Records start as drafts; only the payroll run workflow approves and locks them
+    delete req.body.status;
+    delete req.body.payrollRun;
+
     const record = await MonthlySalary.create(req.body);
     
     res.status(201).json({
@@ -14,6 +14,16 @@ const serviceTypeRoutes = require('./servicetype');
 const adminanalytics = require('./adminAnalytics');
 const incentivepolicies = require('./incentiveRoutes');
 const staffCategoryroute = require('./staffCategory');
+const payrollRuns = require('./payrollRuns');
+const parts = require('./parts');
+const appointments = require('./appointments');
+const invoices = require('./invoices');
+const quotes = require('./quotes');
+const maintenancePlans = require('./maintenancePlans');
+const customers = require('./customers');
+const inspectionTemplates = require('./inspectionTemplates');
+const inspections = require('./inspections');
+const slaPolicies = require('./slaPolicies');
 
 // Mount routes
 router.use('/auth', auth);
@@ -28,5 +38,15 @@ router.use('/settings', settings);
 router.use('/admin/analytics', adminanalytics);
 router.use('/incentivepolicies',incentivepolicies);
 router.use('/staffcategories',staffCategoryroute);
+router.use('/payroll-runs', payrollRuns);
+router.use('/parts', parts);
+router.use('/appointments', appointments);
+router.use('/invoices', invoices);
+router.use('/quotes', quotes);
+router.use('/maintenance-plans', maintenancePlans);
+router.use('/customers', customers);
+router.use('/inspection-templates', inspectionTemplates);
+router.use('/inspections', inspections);
+router.use('/sla-policies', slaPolicies);
 
 module.exports = router; 
\ No newline at end of file
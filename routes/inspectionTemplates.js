@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const { InspectionTemplate, Inspection } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+
+// @desc    Get all inspection templates
+// @route   GET /api/v1/inspection-templates
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Filter by active status
+    if (req.query.isActive) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    // Filter by service type
+    if (req.query.serviceType) {
+      query.serviceType = req.query.serviceType;
+    }
+
+    const templates = await InspectionTemplate.find(query)
+      .populate('serviceType', 'name')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single inspection template
+// @route   GET /api/v1/inspection-templates/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const template = await InspectionTemplate.findById(req.params.id)
+      .populate('serviceType', 'name')
+      .populate('items.recommendedServiceType', 'name estimatedTime basePrice')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!template) {
+      return next(new ErrorResponse(`Inspection template not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create inspection template
+// @route   POST /api/v1/inspection-templates
+// @access  Private/Admin/Manager
+router.post('/', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    // Add user to req.body as createdBy
+    req.body.createdBy = req.user.id;
+
+    const template = await InspectionTemplate.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update inspection template
+// @route   PUT /api/v1/inspection-templates/:id
+// @access  Private/Admin/Manager
+router.put('/:id', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const template = await InspectionTemplate.findById(req.params.id);
+
+    if (!template) {
+      return next(new ErrorResponse(`Inspection template not found with id of ${req.params.id}`, 404));
+    }
+
+    const { createdBy, ...updates } = req.body;
+    template.set(updates);
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete inspection template
+// @route   DELETE /api/v1/inspection-templates/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const template = await InspectionTemplate.findById(req.params.id);
+
+    if (!template) {
+      return next(new ErrorResponse(`Inspection template not found with id of ${req.params.id}`, 404));
+    }
+
+    const inspectionCount = await Inspection.countDocuments({ template: template._id });
+    if (inspectionCount > 0) {
+      return next(new ErrorResponse(`Cannot delete a template used by ${inspectionCount} inspections. Consider marking it as inactive instead.`, 400));
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
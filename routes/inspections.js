@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const { Inspection, Service } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+const InspectionService = require('./InspectionService');
+
+/**
+ * Load an inspection the current user may work on
+ * @param {object} req - Request
+ * @returns {Promise<object>} - Inspection
+ */
+const getInspection = async (req) => {
+  const inspection = await Inspection.findById(req.params.id);
+
+  if (!inspection) {
+    throw new ErrorResponse(`Inspection not found with id of ${req.params.id}`, 404);
+  }
+
+  // Make sure user is admin or from the same branch
+  if (req.user.role !== 'admin' && inspection.branch.toString() !== req.user.branch.toString()) {
+    throw new ErrorResponse('Not authorized to access this inspection', 403);
+  }
+
+  return inspection;
+};
+
+// @desc    Get all inspections
+// @route   GET /api/v1/inspections
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Filter by branch
+    if (req.user.role !== 'admin') {
+      query.branch = req.user.branch;
+    } else if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    // Filter by service
+    if (req.query.service) {
+      query.service = req.query.service;
+    }
+
+    // Filter by vehicle
+    if (req.query.vehicle) {
+      query.vehicle = req.query.vehicle;
+    }
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const inspections = await Inspection.find(query)
+      .populate('vehicle', 'registrationNumber make model')
+      .populate('template', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: inspections.length,
+      data: inspections
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single inspection
+// @route   GET /api/v1/inspections/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const inspection = await getInspection(req);
+
+    await inspection.populate([
+      { path: 'vehicle', select: 'registrationNumber make model year mileage' },
+      { path: 'service', select: 'status startDate' },
+      { path: 'items.recommendedServiceType', select: 'name' },
+      { path: 'items.checkedBy', select: 'firstName lastName' },
+      { path: 'completedBy', select: 'firstName lastName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: inspection
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start an inspection of a service from a checklist template
+// @route   POST /api/v1/inspections
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.body.service);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.body.service}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to inspect this service', 403));
+    }
+
+    const inspection = await InspectionService.start(service, req.body.template, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: inspection
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Record checklist results
+// @route   PUT /api/v1/inspections/:id/results
+// @access  Private
+router.put('/:id/results', protect, async (req, res, next) => {
+  try {
+    const inspection = await getInspection(req);
+
+    await InspectionService.recordResults(inspection, req.body.results, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: inspection
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Complete inspection
+// @route   PUT /api/v1/inspections/:id/complete
+// @access  Private
+router.put('/:id/complete', protect, async (req, res, next) => {
+  try {
+    const inspection = await getInspection(req);
+
+    await InspectionService.complete(inspection, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: inspection
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Raise recommended work for failed and advisory items, on the service or as a quote
+// @route   POST /api/v1/inspections/:id/follow-up
+// @access  Private
+router.post('/:id/follow-up', protect, async (req, res, next) => {
+  try {
+    const inspection = await getInspection(req);
+    const target = req.body.target || 'service';
+
+    let data;
+    if (target === 'service') {
+      data = await InspectionService.addToService(inspection, req.body.items, req.user);
+    } else if (target === 'quote') {
+      data = await InspectionService.createQuote(inspection, req.body.items, req.user);
+    } else {
+      return next(new ErrorResponse('Follow-up target must be service or quote', 400));
+    }
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete inspection
+// @route   DELETE /api/v1/inspections/:id
+// @access  Private/Admin, Manager
+router.delete('/:id', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const inspection = await getInspection(req);
+
+    if (inspection.status === 'completed') {
+      return next(new ErrorResponse('Completed inspections cannot be deleted', 400));
+    }
+
+    await inspection.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
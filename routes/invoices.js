@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const { Invoice, Service } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+const InvoiceService = require('./InvoiceService');
+
+// @desc    Get all invoices
+// @route   GET /api/v1/invoices
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    const query = {};
+
+    // Search by invoice number or customer name
+    if (req.query.search) {
+      query.$or = [
+        { invoiceNumber: { $regex: req.query.search, $options: 'i' } },
+        { 'customer.name': { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    // Filter by branch
+    if (req.user.role !== 'admin') {
+      query.branch = req.user.branch;
+    } else if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    // Filter by service
+    if (req.query.service) {
+      query.service = req.query.service;
+    }
+
+    // Filter by vehicle
+    if (req.query.vehicle) {
+      query.vehicle = req.query.vehicle;
+    }
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Filter by date range
+    if (req.query.startDate && req.query.endDate) {
+      query.issuedAt = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate)
+      };
+    }
+
+    const total = await Invoice.countDocuments(query);
+
+    const invoices = await Invoice.find(query)
+      .select('-lineItems')
+      .populate('branch', 'name')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ issuedAt: -1 });
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      pagination,
+      data: invoices
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single invoice
+// @route   GET /api/v1/invoices/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ErrorResponse(`Invoice not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && invoice.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to access this invoice', 403));
+    }
+
+    await invoice.populate([
+      { path: 'branch', select: 'name' },
+      { path: 'issuedBy', select: 'firstName lastName' },
+      { path: 'voidDetails.voidedBy', select: 'firstName lastName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download invoice as PDF
+// @route   GET /api/v1/invoices/:id/pdf
+// @access  Private
+router.get('/:id/pdf', protect, async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ErrorResponse(`Invoice not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && invoice.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to access this invoice', 403));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+
+    InvoiceService.renderPdf(invoice, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Issue invoice for a completed service
+// @route   POST /api/v1/invoices
+// @access  Private/Admin, Manager
+router.post('/', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const invoice = await InvoiceService.issueInvoice(
+      req.body.service,
+      {
+        discount: req.body.discount,
+        notes: req.body.notes
+      },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Void invoice (the number stays used)
+// @route   PUT /api/v1/invoices/:id/void
+// @access  Private/Admin, Manager
+router.put('/:id/void', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ErrorResponse(`Invoice not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && invoice.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to void this invoice', 403));
+    }
+
+    if (invoice.status === 'void') {
+      return next(new ErrorResponse('Invoice is already void', 400));
+    }
+
+    if (!req.body.reason) {
+      return next(new ErrorResponse('Please provide a reason for voiding the invoice', 400));
+    }
+
+    invoice.status = 'void';
+    invoice.voidDetails = {
+      date: new Date(),
+      reason: req.body.reason,
+      voidedBy: req.user.id
+    };
+
+    await invoice.save();
+
+    // Without an invoice the service total is owed again
+    const service = await Service.findById(invoice.service);
+    if (service && service.invoice && service.invoice.toString() === invoice._id.toString()) {
+      service.invoice = undefined;
+      service.invoicedAmount = undefined;
+      await service.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
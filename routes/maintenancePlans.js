@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { MaintenancePlan } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+
+// @desc    Get all maintenance plans
+// @route   GET /api/v1/maintenance-plans
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Filter by active status
+    if (req.query.isActive) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    // Filter by make
+    if (req.query.make) {
+      query['appliesTo.make'] = { $regex: `^${req.query.make}$`, $options: 'i' };
+    }
+
+    // Filter by vehicle type
+    if (req.query.type) {
+      query['appliesTo.type'] = req.query.type;
+    }
+
+    const plans = await MaintenancePlan.find(query)
+      .populate('intervals.serviceType', 'name')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single maintenance plan
+// @route   GET /api/v1/maintenance-plans/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id)
+      .populate('intervals.serviceType', 'name estimatedTime')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!plan) {
+      return next(new ErrorResponse(`Maintenance plan not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create maintenance plan
+// @route   POST /api/v1/maintenance-plans
+// @access  Private/Admin/Manager
+router.post('/', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    // Add user to req.body as createdBy
+    req.body.createdBy = req.user.id;
+
+    const plan = await MaintenancePlan.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update maintenance plan
+// @route   PUT /api/v1/maintenance-plans/:id
+// @access  Private/Admin/Manager
+router.put('/:id', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+
+    if (!plan) {
+      return next(new ErrorResponse(`Maintenance plan not found with id of ${req.params.id}`, 404));
+    }
+
+    const { createdBy, ...updates } = req.body;
+    plan.set(updates);
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete maintenance plan
+// @route   DELETE /api/v1/maintenance-plans/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+
+    if (!plan) {
+      return next(new ErrorResponse(`Maintenance plan not found with id of ${req.params.id}`, 404));
+    }
+
+    await plan.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,311 @@
+const express = require('express');
+const router = express.Router();
+const { Part, PartStock, Branch, Service } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+
+// @desc    Get all parts
+// @route   GET /api/v1/parts
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    const query = {};
+
+    // Search by SKU or name
+    if (req.query.search) {
+      query.$or = [
+        { sku: { $regex: req.query.search, $options: 'i' } },
+        { name: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    // Filter by category
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    // Filter by supplier
+    if (req.query.supplier) {
+      query['supplier.name'] = { $regex: req.query.supplier, $options: 'i' };
+    }
+
+    // Filter by active status
+    if (req.query.isActive) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const total = await Part.countDocuments(query);
+
+    const parts = await Part.find(query)
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ name: 1 });
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: parts.length,
+      pagination,
+      data: parts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get stock levels for a branch (optionally only parts at or below reorder level)
+// @route   GET /api/v1/parts/stock?branch=&lowStock=true
+// @access  Private
+router.get('/stock', protect, async (req, res, next) => {
+  try {
+    const branch = req.query.branch || req.user.branch;
+
+    const stock = await PartStock.find({ branch })
+      .populate('part', 'sku name unit reorderLevel costPrice sellPrice supplier')
+      .populate('branch', 'name');
+
+    let data = stock.filter(level => level.part);
+
+    if (req.query.lowStock === 'true') {
+      data = data.filter(level => {
+        const reorderLevel = level.reorderLevel !== undefined ? level.reorderLevel : level.part.reorderLevel;
+        return level.quantityAvailable <= reorderLevel;
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single part
+// @route   GET /api/v1/parts/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const part = await Part.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName');
+
+    if (!part) {
+      return next(new ErrorResponse(`Part not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: part
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create part
+// @route   POST /api/v1/parts
+// @access  Private/Admin, Manager
+router.post('/', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    req.body.createdBy = req.user.id;
+
+    const part = await Part.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: part
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update part
+// @route   PUT /api/v1/parts/:id
+// @access  Private/Admin, Manager
+router.put('/:id', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return next(new ErrorResponse(`Part not found with id of ${req.params.id}`, 404));
+    }
+
+    // Saved as a document so a markup recalculates the sell price
+    part.set(req.body);
+    await part.save();
+
+    res.status(200).json({
+      success: true,
+      data: part
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete part
+// @route   DELETE /api/v1/parts/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return next(new ErrorResponse(`Part not found with id of ${req.params.id}`, 404));
+    }
+
+    // Parts used on services stay in the catalogue
+    const serviceCount = await Service.countDocuments({ 'serviceItems.parts.part': part._id });
+    if (serviceCount > 0) {
+      return next(
+        new ErrorResponse(
+          `This part cannot be deleted as it's used in ${serviceCount} services. Consider marking it as inactive instead.`,
+          400
+        )
+      );
+    }
+
+    await PartStock.deleteMany({ part: part._id });
+    await part.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get stock levels of a part across branches
+// @route   GET /api/v1/parts/:id/stock
+// @access  Private
+router.get('/:id/stock', protect, async (req, res, next) => {
+  try {
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return next(new ErrorResponse(`Part not found with id of ${req.params.id}`, 404));
+    }
+
+    const stock = await PartStock.find({ part: part._id })
+      .populate('branch', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: stock.length,
+      data: stock
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Receive or adjust stock of a part at a branch
+// @route   PUT /api/v1/parts/:id/stock/:branchId
+// @access  Private/Admin, Manager
+router.put('/:id/stock/:branchId', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return next(new ErrorResponse(`Part not found with id of ${req.params.id}`, 404));
+    }
+
+    const branch = await Branch.findById(req.params.branchId);
+
+    if (!branch) {
+      return next(new ErrorResponse(`Branch not found with id of ${req.params.branchId}`, 404));
+    }
+
+    // Managers can only adjust stock in their own branch
+    if (req.user.role !== 'admin' && branch._id.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to adjust stock for this branch', 403));
+    }
+
+    const filter = { part: part._id, branch: branch._id };
+    const update = { $set: { updatedBy: req.user.id } };
+
+    if (req.body.reorderLevel !== undefined) {
+      update.$set.reorderLevel = req.body.reorderLevel;
+    }
+
+    if (req.body.location !== undefined) {
+      update.$set.location = req.body.location;
+    }
+
+    // Either receive a delivery (positive adjustment) or correct the count after a stock take.
+    // Updates are atomic so they cannot clobber reservations made at the same time.
+    if (req.body.adjustment !== undefined) {
+      const adjustment = Number(req.body.adjustment);
+      // Negative adjustments write off damaged or lost units
+      if (req.body.adjustment === '' || req.body.adjustment === null ||
+        !Number.isInteger(adjustment) || adjustment === 0) {
+        return next(new ErrorResponse('Adjustment must be a whole number of units other than zero', 400));
+      }
+      update.$inc = { quantityOnHand: adjustment };
+      if (adjustment > 0) {
+        update.$set.lastRestocked = new Date();
+      }
+      filter.$expr = {
+        $gte: [{ $add: ['$quantityOnHand', adjustment] }, '$quantityReserved']
+      };
+    } else if (req.body.quantityOnHand !== undefined) {
+      const quantityOnHand = Number(req.body.quantityOnHand);
+      if (req.body.quantityOnHand === '' || req.body.quantityOnHand === null ||
+        !Number.isInteger(quantityOnHand) || quantityOnHand < 0) {
+        return next(new ErrorResponse('Quantity on hand must be a whole number of zero or more', 400));
+      }
+      update.$set.quantityOnHand = quantityOnHand;
+      filter.quantityReserved = { $lte: quantityOnHand };
+    }
+
+    // Make sure the branch has a stock record for this part
+    await PartStock.updateOne(
+      { part: part._id, branch: branch._id },
+      { $setOnInsert: { quantityOnHand: 0, quantityReserved: 0 } },
+      { upsert: true }
+    );
+
+    const stock = await PartStock.findOneAndUpdate(filter, update, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!stock) {
+      return next(new ErrorResponse('Stock on hand cannot drop below the units reserved for open services', 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stock
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const { PayrollRun, MonthlySalary } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+const PayrollRunService = require('./PayrollRunService');
+
+// @desc    Get all payroll runs
+// @route   GET /api/v1/payroll-runs
+// @access  Private (Admin, HR, Manager)
+router.get('/', protect, authorize('admin', 'hr', 'manager'), async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.month) query.month = req.query.month;
+    if (req.query.year) query.year = req.query.year;
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.staffCategory) query.staffCategory = req.query.staffCategory;
+    if (req.query.branch) query.branch = req.query.branch;
+
+    const runs = await PayrollRun.find(query)
+      .select('-salaries')
+      .populate('staffCategory', 'name')
+      .populate('branch', 'name')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ year: -1, month: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single payroll run with its salary records (preview)
+// @route   GET /api/v1/payroll-runs/:id
+// @access  Private (Admin, HR, Manager)
+router.get('/:id', protect, authorize('admin', 'hr', 'manager'), async (req, res, next) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id)
+      .populate('staffCategory', 'name')
+      .populate('branch', 'name')
+      .populate('incentivePolicy', 'name')
+      .populate({
+        path: 'salaries',
+        populate: {
+          path: 'staff',
+          select: 'firstName lastName email branch'
+        }
+      })
+      .populate('failures.staff', 'firstName lastName')
+      .populate('createdBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName')
+      .populate('lockedBy', 'firstName lastName');
+
+    if (!run) {
+      return next(new ErrorResponse(`Payroll run not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create payroll run and compute draft salaries
+// @route   POST /api/v1/payroll-runs
+// @access  Private (Admin, HR)
+router.post('/', protect, authorize('admin', 'hr'), async (req, res, next) => {
+  try {
+    const run = await PayrollRun.create({
+      month: req.body.month,
+      year: req.body.year,
+      staffCategory: req.body.staffCategory,
+      branch: req.body.branch,
+      incentivePolicy: req.body.incentivePolicy,
+      notes: req.body.notes,
+      createdBy: req.user.id
+    });
+
+    await PayrollRunService.computeRun(run, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Recalculate draft salaries for a payroll run
+// @route   POST /api/v1/payroll-runs/:id/recalculate
+// @access  Private (Admin, HR)
+router.post('/:id/recalculate', protect, authorize('admin', 'hr'), async (req, res, next) => {
+  try {
+    const run = await PayrollRunService.getRun(req.params.id);
+
+    await PayrollRunService.computeRun(run, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Adjust special bonus and deductions on a draft salary record
+// @route   PUT /api/v1/payroll-runs/:id/salaries/:salaryId
+// @access  Private (Admin, HR)
+router.put('/:id/salaries/:salaryId', protect, authorize('admin', 'hr'), async (req, res, next) => {
+  try {
+    const run = await PayrollRunService.getRun(req.params.id);
+
+    if (run.status !== 'draft') {
+      return next(new ErrorResponse(`Cannot adjust salaries in a payroll run that is ${run.status}`, 400));
+    }
+
+    const salary = await MonthlySalary.findOne({
+      _id: req.params.salaryId,
+      payrollRun: run._id
+    });
+
+    if (!salary) {
+      return next(new ErrorResponse(`Salary record not found with id of ${req.params.salaryId}`, 404));
+    }
+
+    const adjustable = ['specialBonus', 'specialBonusReason', 'deductions', 'deductionReason'];
+    adjustable.forEach(field => {
+      if (req.body[field] !== undefined) {
+        salary.incentiveBreakdown[field] = req.body[field];
+      }
+    });
+
+    if (req.body.notes !== undefined) {
+      salary.notes = req.body.notes;
+    }
+
+    salary.updatedBy = req.user.id;
+    await salary.save();
+
+    await PayrollRunService.refreshSummary(run);
+
+    res.status(200).json({
+      success: true,
+      data: salary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Approve a draft payroll run
+// @route   PUT /api/v1/payroll-runs/:id/approve
+// @access  Private (Admin)
+router.put('/:id/approve', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const run = await PayrollRunService.getRun(req.params.id);
+
+    await PayrollRunService.transition(run, 'approved', req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Send an approved payroll run back to draft
+// @route   PUT /api/v1/payroll-runs/:id/reopen
+// @access  Private (Admin)
+router.put('/:id/reopen', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const run = await PayrollRunService.getRun(req.params.id);
+
+    await PayrollRunService.transition(run, 'draft', req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Lock an approved payroll run so its salary records can no longer be edited
+// @route   PUT /api/v1/payroll-runs/:id/lock
+// @access  Private (Admin)
+router.put('/:id/lock', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const run = await PayrollRunService.getRun(req.params.id);
+
+    await PayrollRunService.transition(run, 'locked', req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Record payment for all salaries in a locked payroll run
+// @route   PUT /api/v1/payroll-runs/:id/mark-paid
+// @access  Private (Admin, HR)
+router.put('/:id/mark-paid', protect, authorize('admin', 'hr'), async (req, res, next) => {
+  try {
+    const run = await PayrollRunService.getRun(req.params.id);
+
+    if (run.status !== 'locked') {
+      return next(new ErrorResponse('Only locked payroll runs can be marked as paid', 400));
+    }
+
+    const paymentDate = req.body.paymentDate ? new Date(req.body.paymentDate) : new Date();
+
+    const salaries = await MonthlySalary.find({ payrollRun: run._id });
+    for (const salary of salaries) {
+      salary.paymentStatus = 'paid';
+      salary.paymentDate = paymentDate;
+      salary.paymentMethod = req.body.paymentMethod;
+      salary.paymentReference = req.body.paymentReference;
+      salary.updatedBy = req.user.id;
+      await salary.save();
+    }
+
+    run.paidAt = paymentDate;
+    await run.save();
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a draft payroll run and its draft salary records
+// @route   DELETE /api/v1/payroll-runs/:id
+// @access  Private (Admin, HR)
+router.delete('/:id', protect, authorize('admin', 'hr'), async (req, res, next) => {
+  try {
+    const run = await PayrollRunService.getRun(req.params.id);
+
+    if (run.status !== 'draft') {
+      return next(new ErrorResponse('Only draft payroll runs can be deleted', 400));
+    }
+
+    await MonthlySalary.deleteMany({ payrollRun: run._id, status: 'draft' });
+    await run.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const { Quote, Vehicle } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+const QuoteService = require('./QuoteService');
+
+/**
+ * Load a quote the current user may work on
+ * @param {object} req - Request
+ * @returns {Promise<object>} - Quote
+ */
+const getQuote = async (req) => {
+  const quote = await Quote.findById(req.params.id);
+
+  if (!quote) {
+    throw new ErrorResponse(`Quote not found with id of ${req.params.id}`, 404);
+  }
+
+  // Make sure user is admin or from the same branch
+  if (req.user.role !== 'admin' && quote.branch.toString() !== req.user.branch.toString()) {
+    throw new ErrorResponse('Not authorized to access this quote', 403);
+  }
+
+  return quote;
+};
+
+// @desc    Get all quotes
+// @route   GET /api/v1/quotes
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    const query = {};
+
+    // Filter by branch
+    if (req.user.role !== 'admin') {
+      query.branch = req.user.branch;
+    } else if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    // Filter by vehicle
+    if (req.query.vehicle) {
+      query.vehicle = req.query.vehicle;
+    }
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    await QuoteService.expireOverdue(query.branch ? { branch: query.branch } : {});
+
+    const total = await Quote.countDocuments(query);
+
+    const quotes = await Quote.find(query)
+      .populate('vehicle', 'registrationNumber make model owner')
+      .populate('branch', 'name')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: quotes.length,
+      pagination,
+      data: quotes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single quote
+// @route   GET /api/v1/quotes/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const quote = await QuoteService.expireIfOverdue(await getQuote(req));
+
+    await quote.populate([
+      { path: 'vehicle', select: 'registrationNumber make model year type owner' },
+      { path: 'branch', select: 'name' },
+      { path: 'serviceItems.serviceType', select: 'name estimatedTime' },
+      { path: 'createdBy', select: 'firstName lastName' },
+      { path: 'service', select: 'status startDate' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create quote
+// @route   POST /api/v1/quotes
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    // Add branch from user if not provided
+    const branch = req.body.branch || req.user.branch;
+
+    const vehicle = await Vehicle.findById(req.body.vehicle);
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.body.vehicle}`, 404));
+    }
+
+    const quote = await Quote.create({
+      branch,
+      vehicle: vehicle._id,
+      serviceItems: await QuoteService.buildItems(req.body.serviceItems, vehicle, req.user),
+      validUntil: req.body.validUntil || await QuoteService.getDefaultValidUntil(),
+      notes: req.body.notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update draft quote
+// @route   PUT /api/v1/quotes/:id
+// @access  Private
+router.put('/:id', protect, async (req, res, next) => {
+  try {
+    const quote = await QuoteService.expireIfOverdue(await getQuote(req));
+
+    // A sent quote is what the customer saw; revise it by creating a new one
+    if (quote.status !== 'draft') {
+      return next(new ErrorResponse(`Cannot edit a quote that is ${quote.status}`, 400));
+    }
+
+    if (req.body.serviceItems) {
+      const vehicle = await Vehicle.findById(quote.vehicle);
+      quote.serviceItems = await QuoteService.buildItems(req.body.serviceItems, vehicle, req.user);
+    }
+
+    if (req.body.validUntil) {
+      quote.validUntil = req.body.validUntil;
+    }
+
+    if (req.body.notes !== undefined) {
+      quote.notes = req.body.notes;
+    }
+
+    await quote.save();
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark quote as sent to the customer
+// @route   PUT /api/v1/quotes/:id/send
+// @access  Private
+router.put('/:id/send', protect, async (req, res, next) => {
+  try {
+    const quote = await QuoteService.send(await getQuote(req));
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Record customer approval of quote
+// @route   PUT /api/v1/quotes/:id/accept
+// @access  Private
+router.put('/:id/accept', protect, async (req, res, next) => {
+  try {
+    const quote = await QuoteService.accept(await getQuote(req), req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Record that the customer declined quote
+// @route   PUT /api/v1/quotes/:id/decline
+// @access  Private
+router.put('/:id/decline', protect, async (req, res, next) => {
+  try {
+    const quote = await QuoteService.decline(await getQuote(req), req.body.reason, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Open a service from an accepted quote
+// @route   POST /api/v1/quotes/:id/convert
+// @access  Private
+router.post('/:id/convert', protect, async (req, res, next) => {
+  try {
+    const quote = await getQuote(req);
+    const service = await QuoteService.convert(quote, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        quote,
+        service
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete draft quote
+// @route   DELETE /api/v1/quotes/:id
+// @access  Private/Admin/Manager
+router.delete('/:id', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const quote = await getQuote(req);
+
+    if (quote.status !== 'draft') {
+      return next(new ErrorResponse('Only draft quotes can be deleted', 400));
+    }
+
+    await quote.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
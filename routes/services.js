@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { Service, Vehicle, User } = require('../models');
-const { protect, authorize, ErrorResponse } = require('../middleware');
+const { protect, authorize, ErrorResponse, uploadAttachments } = require('../middleware');
+const AttachmentService = require('./AttachmentService');
+const InventoryService = require('./InventoryService');
+const PaymentService = require('./PaymentService');
+const ServiceItemWorkflow = require('./ServiceItemWorkflow');
+const TechnicianRecommendationService = require('./TechnicianRecommendationService');
+const TimeClockService = require('./TimeClockService');
+const PricingService = require('./PricingService');
+const WarrantyService = require('./WarrantyService');
 
 // @desc    Get all services
 // @route   GET /api/v1/services
@@ -46,6 +54,11 @@ router.get('/', protect, async (req, res, next) => {
       query.status = req.query.status;
     }
 
+    // Filter warranty claims in or out
+    if (req.query.isWarrantyClaim) {
+      query.isWarrantyClaim = req.query.isWarrantyClaim === 'true';
+    }
+
     // Filter by date range
     if (req.query.startDate && req.query.endDate) {
       query.startDate = {
@@ -97,6 +110,169 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Get outstanding receivables with ageing buckets
+// @route   GET /api/v1/services/outstanding
+// @access  Private/Admin, Manager
+router.get('/outstanding', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    // Managers only see their own branch
+    const branch = req.user.role === 'admin' ? req.query.branch : req.user.branch;
+
+    const report = await PaymentService.getOutstanding({
+      branch,
+      asOf: req.query.asOf
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get technician credit report
+// @route   GET /api/v1/services/technician-credits
+// @access  Private/Admin
+router.get('/technician-credits', protect, authorize('admin', 'manager', 'hr'), async (req, res, next) => {
+  try {
+    const query = {
+      status: 'completed'
+    };
+
+    // Filter by technician
+    if (req.query.technician) {
+      query['serviceItems.technicians.technician'] = req.query.technician;
+    }
+
+    // Filter by date range
+    if (req.query.startDate && req.query.endDate) {
+      query.completionDate = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate)
+      };
+    }
+
+    // Filter by branch
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    const services = await Service.find(query)
+      .populate({
+        path: 'serviceItems.serviceType',
+        select: 'name category creditPoints'
+      })
+      .populate({
+        path: 'serviceItems.technicians.technician',
+        select: 'firstName lastName'
+      });
+
+    // Process data to get credits by technician
+    const technicianCredits = {};
+    
+    services.forEach(service => {
+      service.serviceItems.forEach(item => {
+        if (item.status === 'completed') {
+          // Percentage of the item's credits each technician was given
+          const shares = Service.calculateCreditShares(item.technicians.map(tech => ({
+            technician: tech.technician._id,
+            contributionShare: tech.contributionShare,
+            hoursWorked: tech.hoursWorked
+          })));
+
+          item.technicians.forEach(tech => {
+            const techId = tech.technician._id.toString();
+            const techName = `${tech.technician.firstName} ${tech.technician.lastName}`;
+            
+            if (!technicianCredits[techId]) {
+              technicianCredits[techId] = {
+                id: techId,
+                name: techName,
+                totalCredits: 0,
+                serviceCount: 0,
+                services: []
+              };
+            }
+            
+            technicianCredits[techId].totalCredits += tech.creditPoints;
+            technicianCredits[techId].serviceCount += 1;
+            technicianCredits[techId].services.push({
+              serviceId: service._id,
+              serviceDate: service.completionDate,
+              serviceType: item.serviceType.name,
+              technicianCount: item.technicians.length,
+              contributionShare: Math.round(shares.get(tech.technician._id.toString()) * 10000) / 100,
+              hoursWorked: tech.hoursWorked,
+              creditPoints: tech.creditPoints
+            });
+          });
+        }
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      count: Object.keys(technicianCredits).length,
+      data: Object.values(technicianCredits)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Price service items for a vehicle without creating anything
+// @route   POST /api/v1/services/price-quote
+// @access  Private
+router.post('/price-quote', protect, async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.body.vehicle);
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.body.vehicle}`, 404));
+    }
+
+    const pricingSettings = await PricingService.getPricingSettings();
+    const quote = await PricingService.quote(req.body.serviceItems || [], vehicle, pricingSettings);
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Check whether a vehicle is still under warranty from an earlier service
+// @route   GET /api/v1/services/warranty-coverage?vehicle=&serviceType=&part=&date=
+// @access  Private
+router.get('/warranty-coverage', protect, async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.query.vehicle);
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.query.vehicle}`, 404));
+    }
+
+    const coverage = await WarrantyService.checkCoverage(vehicle._id, {
+      serviceType: req.query.serviceType,
+      part: req.query.part,
+      date: req.query.date
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicle: vehicle._id,
+        covered: coverage.length > 0,
+        coverage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get single service
 // @route   GET /api/v1/services/:id
 // @access  Private
@@ -150,12 +326,42 @@ router.post('/', protect, async (req, res, next) => {
       return next(new ErrorResponse(`Vehicle not found with id of ${req.body.vehicle}`, 404));
     }
 
+    // Price items and parts on the server and reserve parts from branch stock
+    const pricingSettings = await PricingService.getPricingSettings();
+    const serviceItems = req.body.serviceItems || [];
+    for (const item of serviceItems) {
+      ServiceItemWorkflow.sanitizeNewItem(item);
+      await TechnicianRecommendationService.assertItemQualified(item);
+      await PricingService.priceServiceItem(item, vehicle, req.user, pricingSettings);
+      item.parts = await InventoryService.prepareParts(item.parts, pricingSettings);
+    }
+    const allParts = serviceItems.reduce((parts, item) => parts.concat(item.parts), []);
+    await InventoryService.reserveParts(req.body.branch, allParts);
+
+    // Totals and payment state are always calculated on save; payments and invoices
+    // are added through their own endpoints
+    req.body.totalCost = 0;
+    delete req.body.paymentDetails;
+    delete req.body.amountPaid;
+    delete req.body.balanceDue;
+    delete req.body.invoice;
+    delete req.body.invoicedAmount;
+
+    // Only WarrantyService.openClaim marks a service as a warranty claim
+    delete req.body.isWarrantyClaim;
+    delete req.body.warrantyClaim;
+    delete req.body.warrantyCost;
+
     // Create service
-    const service = await Service.create(req.body);
+    let service;
+    try {
+      service = await Service.create(req.body);
+    } catch (error) {
+      await InventoryService.releaseParts(req.body.branch, allParts);
+      throw error;
+    }
 
-    // Update vehicle's last service and next service due
-    vehicle.lastService = service.startDate;
-    vehicle.nextServiceDue = service.estimatedCompletionDate;
+    // Last service and next service due are set when the service is completed
     vehicle.status = 'in_service';
     await vehicle.save();
 
@@ -184,21 +390,32 @@ router.put('/:id', protect, async (req, res, next) => {
       return next(new ErrorResponse('Not authorized to update this service', 403));
     }
 
-    service = await Service.findByIdAndUpdate(req.params.id, req.body, {
+    // Payments, statuses, attachments and quotes go through their own endpoints so they
+    // stay consistent, and the total is calculated on save
+    const {
+      serviceItems,
+      status,
+      totalCost,
+      quote,
+      completionDate,
+      paymentDetails,
+      paymentStatus,
+      amountPaid,
+      balanceDue,
+      invoice,
+      invoicedAmount,
+      isWarrantyClaim,
+      warrantyClaim,
+      warrantyCost,
+      attachments,
+      ...updates
+    } = req.body;
+
+    service = await Service.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     });
 
-    // If service is completed, update vehicle status
-    if (req.body.status === 'completed' && service.status === 'completed') {
-      const vehicle = await Vehicle.findById(service.vehicle);
-      if (vehicle) {
-        vehicle.status = 'active';
-        vehicle.lastService = service.completionDate;
-        await vehicle.save();
-      }
-    }
-
     res.status(200).json({
       success: true,
       data: service
@@ -208,7 +425,7 @@ router.put('/:id', protect, async (req, res, next) => {
   }
 });
 
-// @desc    Update service item status
+// @desc    Update service item details
 // @route   PUT /api/v1/services/:id/service-item/:serviceItemId
 // @access  Private
 router.put('/:id/service-item/:serviceItemId', protect, async (req, res, next) => {
@@ -233,18 +450,46 @@ router.put('/:id/service-item/:serviceItemId', protect, async (req, res, next) =
       return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
     }
 
+    // Parts move stock, so they can only be changed through the parts endpoints
+    if (req.body.parts) {
+      return next(new ErrorResponse('Use the service item parts endpoints to change parts', 400));
+    }
+
+    ServiceItemWorkflow.assertNoProtectedFields(req.body);
+
+    const serviceItem = service.serviceItems[serviceItemIndex];
+
+    if (['completed', 'cancelled'].includes(serviceItem.status)) {
+      return next(new ErrorResponse(`Cannot edit a ${serviceItem.status} service item; reopen it first`, 400));
+    }
+
+    // Clocked items take their hours from the time clock
+    if (req.body.laborHours !== undefined && serviceItem.workSessions.length > 0) {
+      return next(new ErrorResponse('Labor hours are calculated from the recorded work sessions', 400));
+    }
+
+    // Prices are set by the pricing engine; only managers may override them
+    const {
+      _id,
+      laborCost,
+      laborRate,
+      pricing,
+      laborCostOverridden,
+      priceOverrideReason,
+      ...updates
+    } = req.body;
+
     // Update service item
-    Object.keys(req.body).forEach(key => {
-      service.serviceItems[serviceItemIndex][key] = req.body[key];
+    Object.keys(updates).forEach(key => {
+      serviceItem[key] = updates[key];
     });
 
-    // If service item is completed, add completion time if not already set
-    if (req.body.status === 'completed' && !service.serviceItems[serviceItemIndex].completionTime) {
-      service.serviceItems[serviceItemIndex].completionTime = new Date();
-      
-      // Assign credit points to technicians
-      await service.assignCreditPoints(req.params.serviceItemId, User);
-    }
+    await PricingService.updateServiceItemPricing(service, serviceItem, {
+      serviceType: updates.serviceType,
+      laborCost,
+      laborCostOverridden,
+      priceOverrideReason
+    }, req.user);
 
     await service.save();
 
@@ -257,10 +502,12 @@ router.put('/:id/service-item/:serviceItemId', protect, async (req, res, next) =
   }
 });
 
-// @desc    Add technician to service item
-// @route   POST /api/v1/services/:id/service-item/:serviceItemId/technician
-// @access  Private
-router.post('/:id/service-item/:serviceItemId/technician', protect, async (req, res, next) => {
+/**
+ * Build a handler that moves a service item through the given status transition
+ * @param {string} action - start, pause, complete, cancel or reopen
+ * @returns {Function} - Express handler
+ */
+const transitionServiceItem = action => async (req, res, next) => {
   try {
     const service = await Service.findById(req.params.id);
 
@@ -268,102 +515,158 @@ router.post('/:id/service-item/:serviceItemId/technician', protect, async (req,
       return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
     }
 
-    // Find the service item
-    const serviceItemIndex = service.serviceItems.findIndex(
-      item => item._id.toString() === req.params.serviceItemId
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
+    }
+
+    const serviceItem = await ServiceItemWorkflow.transition(
+      service,
+      req.params.serviceItemId,
+      action,
+      req.body,
+      req.user.id
     );
 
-    if (serviceItemIndex === -1) {
-      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
-    }
+    res.status(200).json({
+      success: true,
+      data: serviceItem
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Check if technician exists
-    const user = await User.findById(req.body.technician);
-    if (!user) {
-      return next(new ErrorResponse(`User not found with id of ${req.body.technician}`, 404));
-    }
+// @desc    Start (or resume) work on a service item
+// @route   PUT /api/v1/services/:id/service-item/:serviceItemId/start
+// @access  Private
+router.put('/:id/service-item/:serviceItemId/start', protect, transitionServiceItem('start'));
 
-    // Check if technician already assigned to this service item
-    const isAlreadyAssigned = service.serviceItems[serviceItemIndex].technicians.some(
-      tech => tech.technician.toString() === req.body.technician
-    );
+// @desc    Pause work on a service item
+// @route   PUT /api/v1/services/:id/service-item/:serviceItemId/pause
+// @access  Private
+router.put('/:id/service-item/:serviceItemId/pause', protect, transitionServiceItem('pause'));
 
-    if (isAlreadyAssigned) {
-      return next(new ErrorResponse('Technician already assigned to this service item', 400));
+// @desc    Complete a service item (consumes parts and assigns credits)
+// @route   PUT /api/v1/services/:id/service-item/:serviceItemId/complete
+// @access  Private
+router.put('/:id/service-item/:serviceItemId/complete', protect, transitionServiceItem('complete'));
+
+// @desc    Cancel a service item (reason required)
+// @route   PUT /api/v1/services/:id/service-item/:serviceItemId/cancel
+// @access  Private
+router.put('/:id/service-item/:serviceItemId/cancel', protect, transitionServiceItem('cancel'));
+
+/**
+ * Build a handler that records the answer to extra work awaiting approval
+ * @param {string} action - approve or reject
+ * @returns {Function} - Express handler
+ */
+const decideServiceItem = action => async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
     }
 
-    // Add technician
-    service.serviceItems[serviceItemIndex].technicians.push({
-      technician: req.body.technician,
-      creditPoints: 0,
-      creditsAssigned: false
-    });
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
+    }
 
-    await service.save();
+    const serviceItem = await ServiceItemWorkflow.decide(
+      service,
+      req.params.serviceItemId,
+      action,
+      req.body,
+      req.user
+    );
 
     res.status(200).json({
       success: true,
-      data: service.serviceItems[serviceItemIndex]
+      data: serviceItem
     });
   } catch (error) {
     next(error);
   }
-});
+};
 
-// @desc    Remove technician from service item
-// @route   DELETE /api/v1/services/:id/service-item/:serviceItemId/technician/:technicianId
+// @desc    Approve extra work (by the customer or a manager)
+// @route   PUT /api/v1/services/:id/service-item/:serviceItemId/approve
 // @access  Private
-router.delete('/:id/service-item/:serviceItemId/technician/:technicianId', protect, async (req, res, next) => {
+router.put('/:id/service-item/:serviceItemId/approve', protect, decideServiceItem('approve'));
+
+// @desc    Reject extra work (reason required)
+// @route   PUT /api/v1/services/:id/service-item/:serviceItemId/reject
+// @access  Private
+router.put('/:id/service-item/:serviceItemId/reject', protect, decideServiceItem('reject'));
+
+// @desc    Reopen a completed or cancelled service item (reason required)
+// @route   PUT /api/v1/services/:id/service-item/:serviceItemId/reopen
+// @access  Private/Admin, Manager
+router.put('/:id/service-item/:serviceItemId/reopen', protect, authorize('admin', 'manager'), transitionServiceItem('reopen'));
+
+/**
+ * Resolve which technician a clock action is for; only managers may clock for others
+ * @param {object} req - Express request
+ * @returns {string} - Technician user ID
+ */
+const getClockTechnician = req => {
+  const technicianId = req.body.technician || req.user.id;
+
+  if (technicianId.toString() !== req.user.id.toString() && !['admin', 'manager'].includes(req.user.role)) {
+    throw new ErrorResponse('Not authorized to clock on or off for another technician', 403);
+  }
+
+  return technicianId;
+};
+
+// @desc    Clock a technician on to a service item (starts or resumes the item if needed)
+// @route   POST /api/v1/services/:id/service-item/:serviceItemId/clock-in
+// @access  Private
+router.post('/:id/service-item/:serviceItemId/clock-in', protect, async (req, res, next) => {
   try {
+    const technicianId = getClockTechnician(req);
     const service = await Service.findById(req.params.id);
 
     if (!service) {
       return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
     }
 
-    // Find the service item
-    const serviceItemIndex = service.serviceItems.findIndex(
-      item => item._id.toString() === req.params.serviceItemId
-    );
-
-    if (serviceItemIndex === -1) {
-      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
     }
 
-    // Find technician index
-    const technicianIndex = service.serviceItems[serviceItemIndex].technicians.findIndex(
-      tech => tech.technician.toString() === req.params.technicianId
-    );
+    const serviceItem = service.serviceItems.id(req.params.serviceItemId);
 
-    if (technicianIndex === -1) {
-      return next(new ErrorResponse(`Technician not found in this service item`, 404));
+    if (!serviceItem) {
+      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
     }
 
-    // Cannot remove technician if service is completed and credits assigned
-    if (service.serviceItems[serviceItemIndex].status === 'completed' && 
-        service.serviceItems[serviceItemIndex].technicians[technicianIndex].creditsAssigned) {
-      return next(new ErrorResponse('Cannot remove technician from completed service with credits assigned', 400));
+    // Clocking on to a waiting or paused item puts it back in progress
+    if (['pending', 'paused'].includes(serviceItem.status)) {
+      await ServiceItemWorkflow.transition(service, serviceItem._id, 'start', {}, req.user.id);
     }
 
-    // Remove technician
-    service.serviceItems[serviceItemIndex].technicians.splice(technicianIndex, 1);
-
-    await service.save();
+    const updatedItem = await TimeClockService.clockIn(service, serviceItem._id, technicianId, req.body.notes);
 
     res.status(200).json({
       success: true,
-      data: service.serviceItems[serviceItemIndex]
+      data: updatedItem
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Add service item to service
-// @route   POST /api/v1/services/:id/service-item
+// @desc    Clock a technician off a service item
+// @route   POST /api/v1/services/:id/service-item/:serviceItemId/clock-out
 // @access  Private
-router.post('/:id/service-item', protect, async (req, res, next) => {
+router.post('/:id/service-item/:serviceItemId/clock-out', protect, async (req, res, next) => {
   try {
+    const technicianId = getClockTechnician(req);
     const service = await Service.findById(req.params.id);
 
     if (!service) {
@@ -375,25 +678,23 @@ router.post('/:id/service-item', protect, async (req, res, next) => {
       return next(new ErrorResponse('Not authorized to update this service', 403));
     }
 
-    // Add service item
-    service.serviceItems.push(req.body);
-    await service.save();
+    const serviceItem = await TimeClockService.clockOut(service, req.params.serviceItemId, technicianId);
 
     res.status(200).json({
       success: true,
-      data: service.serviceItems[service.serviceItems.length - 1]
+      data: serviceItem
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Delete service item
-// @route   DELETE /api/v1/services/:id/service-item/:serviceItemId
+// @desc    Rank branch technicians for a service item
+// @route   GET /api/v1/services/:id/service-item/:serviceItemId/recommended-technicians
 // @access  Private
-router.delete('/:id/service-item/:serviceItemId', protect, authorize('admin', 'manager'), async (req, res, next) => {
+router.get('/:id/service-item/:serviceItemId/recommended-technicians', protect, async (req, res, next) => {
   try {
-    const service = await Service.findById(req.params.id);
+    const service = await Service.findById(req.params.id).select('branch');
 
     if (!service) {
       return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
@@ -401,37 +702,460 @@ router.delete('/:id/service-item/:serviceItemId', protect, authorize('admin', 'm
 
     // Make sure user is admin or from the same branch
     if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
-      return next(new ErrorResponse('Not authorized to update this service', 403));
+      return next(new ErrorResponse('Not authorized to access this service', 403));
     }
 
-    // Find the service item
-    const serviceItemIndex = service.serviceItems.findIndex(
-      item => item._id.toString() === req.params.serviceItemId
+    const recommendation = await TechnicianRecommendationService.recommend(
+      req.params.id,
+      req.params.serviceItemId,
+      {
+        days: req.query.days,
+        limit: req.query.limit
+      }
     );
 
-    if (serviceItemIndex === -1) {
-      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
-    }
-
-    // Only allow deletion if service item is pending
-    if (service.serviceItems[serviceItemIndex].status !== 'pending') {
-      return next(new ErrorResponse('Cannot delete service items that have started or completed', 400));
-    }
-
-    // Remove service item
-    service.serviceItems.splice(serviceItemIndex, 1);
-    await service.save();
-
     res.status(200).json({
       success: true,
-      data: {}
+      count: recommendation.technicians.length,
+      data: recommendation
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Delete service
+// @desc    Add technician to service item
+// @route   POST /api/v1/services/:id/service-item/:serviceItemId/technician
+// @access  Private
+router.post('/:id/service-item/:serviceItemId/technician', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+    }
+
+    // Find the service item
+    const serviceItemIndex = service.serviceItems.findIndex(
+      item => item._id.toString() === req.params.serviceItemId
+    );
+
+    if (serviceItemIndex === -1) {
+      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
+    }
+
+    // Credits are settled on completion, so the crew is fixed once the item is finished
+    if (['completed', 'cancelled'].includes(service.serviceItems[serviceItemIndex].status)) {
+      return next(new ErrorResponse(`Cannot add technicians to a ${service.serviceItems[serviceItemIndex].status} service item`, 400));
+    }
+
+    // Check if technician exists
+    const user = await User.findById(req.body.technician);
+    if (!user) {
+      return next(new ErrorResponse(`User not found with id of ${req.body.technician}`, 404));
+    }
+
+    // Optional skill enforcement (Settings.service.enforceSkillLevel)
+    await TechnicianRecommendationService.assertQualified(user, service.serviceItems[serviceItemIndex].serviceType);
+
+    // Check if technician already assigned to this service item
+    const isAlreadyAssigned = service.serviceItems[serviceItemIndex].technicians.some(
+      tech => tech.technician.toString() === req.body.technician
+    );
+
+    if (isAlreadyAssigned) {
+      return next(new ErrorResponse('Technician already assigned to this service item', 400));
+    }
+
+    // Shares agreed for the previous crew no longer apply; set them again if needed
+    service.serviceItems[serviceItemIndex].technicians.forEach(tech => {
+      tech.contributionShare = undefined;
+    });
+
+    // Add technician
+    service.serviceItems[serviceItemIndex].technicians.push({
+      technician: req.body.technician,
+      creditPoints: 0,
+      creditsAssigned: false,
+      hoursWorked: req.body.hoursWorked
+    });
+
+    await service.save();
+
+    res.status(200).json({
+      success: true,
+      data: service.serviceItems[serviceItemIndex]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Set each technician's contribution share or hours on a service item
+// @route   PUT /api/v1/services/:id/service-item/:serviceItemId/technician-shares
+// @access  Private
+router.put('/:id/service-item/:serviceItemId/technician-shares', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
+    }
+
+    const serviceItem = service.serviceItems.id(req.params.serviceItemId);
+
+    if (!serviceItem) {
+      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
+    }
+
+    if (serviceItem.status === 'cancelled') {
+      return next(new ErrorResponse('Cannot split credits on a cancelled service item', 400));
+    }
+
+    if (serviceItem.status === 'completed' && !['admin', 'manager'].includes(req.user.role)) {
+      return next(new ErrorResponse('Only managers can change the split on a completed service item', 403));
+    }
+
+    // The split must describe exactly the technicians on the item
+    const entries = Array.isArray(req.body.technicians) ? req.body.technicians : [];
+    const assignedIds = serviceItem.technicians.map(tech => tech.technician.toString()).sort();
+    const entryIds = entries.map(entry => String(entry.technician)).sort();
+
+    if (assignedIds.length === 0 || assignedIds.join() !== entryIds.join()) {
+      return next(new ErrorResponse('Provide a share or hours for every technician assigned to the service item', 400));
+    }
+
+    entries.forEach(entry => {
+      const techInfo = serviceItem.technicians.find(tech => tech.technician.toString() === String(entry.technician));
+      techInfo.contributionShare = entry.contributionShare;
+      techInfo.hoursWorked = entry.hoursWorked;
+    });
+
+    // Saving validates the new split (shares for everyone, adding up to 100%) before
+    // any credits change hands
+    await service.save();
+
+    // Credits already awarded are taken back and split again by the new shares
+    if (serviceItem.status === 'completed') {
+      await service.reverseCreditPoints(serviceItem._id, User, {
+        reason: `Credit split changed${req.body.reason ? `: ${req.body.reason}` : ''}`,
+        actionBy: req.user.id
+      });
+      await service.assignCreditPoints(serviceItem._id, User, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: serviceItem
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove technician from service item
+// @route   DELETE /api/v1/services/:id/service-item/:serviceItemId/technician/:technicianId
+// @access  Private
+router.delete('/:id/service-item/:serviceItemId/technician/:technicianId', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
+    }
+
+    // Find the service item
+    const serviceItemIndex = service.serviceItems.findIndex(
+      item => item._id.toString() === req.params.serviceItemId
+    );
+
+    if (serviceItemIndex === -1) {
+      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
+    }
+
+    // Find technician index
+    const technicianIndex = service.serviceItems[serviceItemIndex].technicians.findIndex(
+      tech => tech.technician.toString() === req.params.technicianId
+    );
+
+    if (technicianIndex === -1) {
+      return next(new ErrorResponse(`Technician not found in this service item`, 404));
+    }
+
+    const serviceItem = service.serviceItems[serviceItemIndex];
+
+    // A technician taken off the item is clocked off it; recorded hours still count as labor
+    serviceItem.workSessions.forEach(session => {
+      if (session.technician.toString() === req.params.technicianId && !session.clockOut) {
+        TimeClockService.closeSession(session, new Date());
+      }
+    });
+
+    // Reassigning a completed item takes the credits back and splits them again
+    // among the technicians who remain
+    if (serviceItem.status === 'completed') {
+      if (!['admin', 'manager'].includes(req.user.role)) {
+        return next(new ErrorResponse('Only managers can reassign a completed service item', 403));
+      }
+
+      if (serviceItem.technicians.length === 1) {
+        return next(new ErrorResponse('A completed service item must keep at least one technician', 400));
+      }
+
+      await service.reverseCreditPoints(serviceItem._id, User, {
+        reason: `Technician removed from completed service item${req.body.reason ? `: ${req.body.reason}` : ''}`,
+        actionBy: req.user.id
+      });
+
+      serviceItem.technicians.splice(technicianIndex, 1);
+      serviceItem.technicians.forEach(tech => {
+        tech.contributionShare = undefined;
+      });
+      await service.save();
+
+      await service.assignCreditPoints(serviceItem._id, User, req.user.id);
+    } else {
+      // Remove technician; shares agreed for the previous crew no longer apply
+      serviceItem.technicians.splice(technicianIndex, 1);
+      serviceItem.technicians.forEach(tech => {
+        tech.contributionShare = undefined;
+      });
+
+      await service.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: service.serviceItems[serviceItemIndex]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Open a warranty claim for rework on an earlier service, billed at zero
+// @route   POST /api/v1/services/:id/warranty-claim
+// @access  Private
+router.post('/:id/warranty-claim', protect, async (req, res, next) => {
+  try {
+    const original = await Service.findById(req.params.id);
+
+    if (!original) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+    }
+
+    const claim = await WarrantyService.openClaim(original, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: claim
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add service item to service
+// @route   POST /api/v1/services/:id/service-item
+// @access  Private
+router.post('/:id/service-item', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
+    }
+
+    // New items always start as pending; extra work on a job in progress needs approval first
+    ServiceItemWorkflow.sanitizeNewItem(req.body);
+    await TechnicianRecommendationService.assertItemQualified(req.body);
+    if (service.status === 'in_progress') {
+      ServiceItemWorkflow.requireApproval(req.body, req.user.id);
+    }
+
+    // Price the item and its parts on the server and reserve parts from branch stock
+    const vehicle = await Vehicle.findById(service.vehicle);
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${service.vehicle}`, 404));
+    }
+    const pricingSettings = await PricingService.getPricingSettings();
+    await PricingService.priceServiceItem(req.body, vehicle, req.user, pricingSettings);
+    req.body.parts = await InventoryService.prepareParts(req.body.parts, pricingSettings);
+    await InventoryService.reserveParts(service.branch, req.body.parts);
+
+    // Add service item
+    service.serviceItems.push(req.body);
+    try {
+      await service.save();
+    } catch (error) {
+      await InventoryService.releaseParts(service.branch, req.body.parts);
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: service.serviceItems[service.serviceItems.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add part to service item (reserves branch stock)
+// @route   POST /api/v1/services/:id/service-item/:serviceItemId/parts
+// @access  Private
+router.post('/:id/service-item/:serviceItemId/parts', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
+    }
+
+    const serviceItem = service.serviceItems.id(req.params.serviceItemId);
+
+    if (!serviceItem) {
+      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
+    }
+
+    if (['completed', 'cancelled'].includes(serviceItem.status)) {
+      return next(new ErrorResponse(`Cannot add parts to a ${serviceItem.status} service item`, 400));
+    }
+
+    const pricingSettings = await PricingService.getPricingSettings();
+    const [part] = await InventoryService.prepareParts([req.body], pricingSettings);
+    await InventoryService.reserveParts(service.branch, [part]);
+
+    serviceItem.parts.push(part);
+    try {
+      await service.save();
+    } catch (error) {
+      await InventoryService.releaseParts(service.branch, [part]);
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: serviceItem
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove part from service item (returns stock)
+// @route   DELETE /api/v1/services/:id/service-item/:serviceItemId/parts/:partEntryId
+// @access  Private
+router.delete('/:id/service-item/:serviceItemId/parts/:partEntryId', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
+    }
+
+    const serviceItem = service.serviceItems.id(req.params.serviceItemId);
+
+    if (!serviceItem) {
+      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
+    }
+
+    if (serviceItem.status === 'completed') {
+      return next(new ErrorResponse('Cannot remove parts from a completed service item', 400));
+    }
+
+    const part = serviceItem.parts.id(req.params.partEntryId);
+
+    if (!part) {
+      return next(new ErrorResponse(`Part not found on this service item`, 404));
+    }
+
+    await InventoryService.restockParts(service.branch, [part]);
+
+    serviceItem.parts.pull(part._id);
+    await service.save();
+
+    res.status(200).json({
+      success: true,
+      data: serviceItem
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete service item
+// @route   DELETE /api/v1/services/:id/service-item/:serviceItemId
+// @access  Private
+router.delete('/:id/service-item/:serviceItemId', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && service.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this service', 403));
+    }
+
+    // Find the service item
+    const serviceItemIndex = service.serviceItems.findIndex(
+      item => item._id.toString() === req.params.serviceItemId
+    );
+
+    if (serviceItemIndex === -1) {
+      return next(new ErrorResponse(`Service item not found with id of ${req.params.serviceItemId}`, 404));
+    }
+
+    // Only allow deletion if service item is pending (or still awaiting approval)
+    if (!['pending', 'pending_approval'].includes(service.serviceItems[serviceItemIndex].status)) {
+      return next(new ErrorResponse('Cannot delete service items that have started or completed', 400));
+    }
+
+    // Return any reserved parts to stock
+    await InventoryService.releaseParts(service.branch, service.serviceItems[serviceItemIndex].parts);
+
+    // Remove service item
+    service.serviceItems.splice(serviceItemIndex, 1);
+    await service.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete service
 // @route   DELETE /api/v1/services/:id
 // @access  Private/Admin
 router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
@@ -447,7 +1171,17 @@ router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
       return next(new ErrorResponse('Cannot delete services that have started or completed', 400));
     }
 
-    await service.remove();
+    // Return any reserved parts to stock and take back any credits awarded
+    for (const item of service.serviceItems) {
+      await InventoryService.releaseParts(service.branch, item.parts);
+      await service.reverseCreditPoints(item._id, User, {
+        reason: 'Service deleted',
+        actionBy: req.user.id
+      });
+    }
+
+    await service.deleteOne();
+    await AttachmentService.removeAll(service);
 
     res.status(200).json({
       success: true,
@@ -486,84 +1220,133 @@ router.post('/:id/notes', protect, async (req, res, next) => {
   }
 });
 
-// @desc    Get technician credit report
-// @route   GET /api/v1/services/technician-credits
-// @access  Private/Admin
-router.get('/technician-credits', protect, authorize('admin', 'manager', 'hr'), async (req, res, next) => {
+// @desc    Record payment
+// @route   POST /api/v1/services/:id/payments
+// @access  Private
+router.post('/:id/payments', protect, async (req, res, next) => {
   try {
-    const query = {
-      status: 'completed'
-    };
+    const service = await PaymentService.recordPayment(req.params.id, req.body, req.user);
 
-    // Filter by technician
-    if (req.query.technician) {
-      query['serviceItems.technicians.technician'] = req.query.technician;
+    res.status(201).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Refund payment
+// @route   POST /api/v1/services/:id/payments/:paymentId/refund
+// @access  Private/Admin, Manager
+router.post('/:id/payments/:paymentId/refund', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const service = await PaymentService.refundPayment(
+      req.params.id,
+      req.params.paymentId,
+      req.body,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Void payment or refund recorded in error
+// @route   PUT /api/v1/services/:id/payments/:paymentId/void
+// @access  Private/Admin, Manager
+router.put('/:id/payments/:paymentId/void', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const service = await PaymentService.voidPayment(
+      req.params.id,
+      req.params.paymentId,
+      req.body.reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Upload service attachments (multipart, field "files")
+// @route   POST /api/v1/services/:id/attachments
+// @access  Private
+router.post('/:id/attachments', protect, uploadAttachments, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
     }
 
-    // Filter by date range
-    if (req.query.startDate && req.query.endDate) {
-      query.completionDate = {
-        $gte: new Date(req.query.startDate),
-        $lte: new Date(req.query.endDate)
-      };
+    AttachmentService.assertAccess(service, req.user, 'service');
+
+    const attachments = await AttachmentService.add(service, 'services', req.files, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download service attachment (?thumbnail=true for the image preview)
+// @route   GET /api/v1/services/:id/attachments/:attachmentId
+// @access  Private
+router.get('/:id/attachments/:attachmentId', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
     }
 
-    // Filter by branch
-    if (req.query.branch) {
-      query.branch = req.query.branch;
+    AttachmentService.assertAccess(service, req.user, 'service');
+
+    const attachment = AttachmentService.getAttachment(service, req.params.attachmentId);
+    const file = await AttachmentService.open(attachment, req.query.thumbnail === 'true');
+
+    AttachmentService.send(res, file, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete service attachment
+// @route   DELETE /api/v1/services/:id/attachments/:attachmentId
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', protect, async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
     }
 
-    const services = await Service.find(query)
-      .populate({
-        path: 'serviceItems.serviceType',
-        select: 'name category creditPoints'
-      })
-      .populate({
-        path: 'serviceItems.technicians.technician',
-        select: 'firstName lastName'
-      });
+    AttachmentService.assertAccess(service, req.user, 'service');
 
-    // Process data to get credits by technician
-    const technicianCredits = {};
-    
-    services.forEach(service => {
-      service.serviceItems.forEach(item => {
-        if (item.status === 'completed') {
-          item.technicians.forEach(tech => {
-            const techId = tech.technician._id.toString();
-            const techName = `${tech.technician.firstName} ${tech.technician.lastName}`;
-            
-            if (!technicianCredits[techId]) {
-              technicianCredits[techId] = {
-                id: techId,
-                name: techName,
-                totalCredits: 0,
-                serviceCount: 0,
-                services: []
-              };
-            }
-            
-            technicianCredits[techId].totalCredits += tech.creditPoints;
-            technicianCredits[techId].serviceCount += 1;
-            technicianCredits[techId].services.push({
-              serviceId: service._id,
-              serviceDate: service.completionDate,
-              serviceType: item.serviceType.name,
-              creditPoints: tech.creditPoints
-            });
-          });
-        }
-      });
-    });
+    await AttachmentService.remove(service, req.params.attachmentId, req.user);
 
     res.status(200).json({
       success: true,
-      count: Object.keys(technicianCredits).length,
-      data: Object.values(technicianCredits)
+      data: {}
     });
   } catch (error) {
     next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
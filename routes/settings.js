@@ -108,6 +108,34 @@ router.put('/service', protect, authorize('admin'), async (req, res, next) => {
   }
 });
 
+// @desc    Update billing settings
+// @route   PUT /api/v1/settings/billing
+// @access  Private/Admin
+router.put('/billing', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    let settings = await Settings.findOne().sort({ createdAt: -1 });
+
+    if (!settings) {
+      return next(new ErrorResponse('No settings found', 404));
+    }
+
+    settings.billing = {
+      ...settings.billing,
+      ...req.body
+    };
+    settings.updatedBy = req.user.id;
+
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: settings.billing
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Update security settings
 // @route   PUT /api/v1/settings/security
 // @access  Private/Admin
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { SlaPolicy } = require('../models');
+const { protect, authorize, ErrorResponse } = require('../middleware');
+
+// @desc    Get all SLA policies
+// @route   GET /api/v1/sla-policies
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Filter by active status
+    if (req.query.isActive) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    // Filter by priority
+    if (req.query.priority) {
+      query.priority = req.query.priority;
+    }
+
+    // Filter by category
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const policies = await SlaPolicy.find(query)
+      .sort({ priority: 1, category: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single SLA policy
+// @route   GET /api/v1/sla-policies/:id
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName');
+
+    if (!policy) {
+      return next(new ErrorResponse(`SLA policy not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create SLA policy
+// @route   POST /api/v1/sla-policies
+// @access  Private/Admin/Manager
+router.post('/', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    // Add user to req.body as createdBy
+    req.body.createdBy = req.user.id;
+
+    const policy = await SlaPolicy.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update SLA policy (complaints already filed keep their due dates)
+// @route   PUT /api/v1/sla-policies/:id
+// @access  Private/Admin/Manager
+router.put('/:id', protect, authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return next(new ErrorResponse(`SLA policy not found with id of ${req.params.id}`, 404));
+    }
+
+    const { createdBy, ...updates } = req.body;
+    policy.set(updates);
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete SLA policy
+// @route   DELETE /api/v1/sla-policies/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return next(new ErrorResponse(`SLA policy not found with id of ${req.params.id}`, 404));
+    }
+
+    await policy.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
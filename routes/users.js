@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { User, ServiceType, Designation } = require('../models');
+const { User, ServiceType, Designation, CreditTransaction } = require('../models');
 const { protect, authorize, ErrorResponse } = require('../middleware');
+const CreditService = require('./CreditService');
 const multer = require('multer');
 const XLSX = require('xlsx');
 
@@ -159,6 +160,9 @@ router.post('/', protect, authorize('admin', 'hr'), async (req, res, next) => {
 // @access  Private/Admin
 router.put('/:id', protect, authorize('admin', 'hr'), async (req, res, next) => {
   try {
+    // Credit totals are derived from the credit ledger
+    delete req.body.totalCreditPoints;
+
     const user = await User.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
@@ -273,8 +277,9 @@ router.put('/:id/service-capabilities/:capabilityId', protect, authorize('admin'
       return next(new ErrorResponse(`Service capability not found with id of ${req.params.capabilityId}`, 404));
     }
 
-    // Update capability
+    // Update capability (credit totals are derived from the credit ledger)
     Object.keys(req.body).forEach(key => {
+      if (['totalCreditsEarned', 'completedServices'].includes(key)) return;
       user.serviceCapabilities[capabilityIndex][key] = req.body[key];
     });
 
@@ -428,6 +433,99 @@ router.get('/:id/service-stats', protect, authorize('admin', 'hr', 'manager'), a
   }
 });
 
+// @desc    Get user credit ledger
+// @route   GET /api/v1/users/:id/credit-transactions
+// @access  Private/Admin, HR, Manager
+router.get('/:id/credit-transactions', protect, authorize('admin', 'hr', 'manager'), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    const query = { user: req.params.id };
+
+    // Filter by award or reversal
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    // Filter by date range
+    if (req.query.startDate && req.query.endDate) {
+      query.createdAt = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate)
+      };
+    }
+
+    const total = await CreditTransaction.countDocuments(query);
+
+    const transactions = await CreditTransaction.find(query)
+      .populate('serviceType', 'name')
+      .populate('createdBy', 'firstName lastName')
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      pagination,
+      data: transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rebuild credit totals for every user from the credit ledger
+// @route   POST /api/v1/users/credits/rebuild
+// @access  Private/Admin
+router.post('/credits/rebuild', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const result = await CreditService.rebuildTotals(null, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rebuild credit totals for one user from the credit ledger
+// @route   POST /api/v1/users/:id/credits/rebuild
+// @access  Private/Admin, HR
+router.post('/:id/credits/rebuild', protect, authorize('admin', 'hr'), async (req, res, next) => {
+  try {
+    const result = await CreditService.rebuildTotals(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 // @desc    Bulk upload users from Excel
 // @route   POST /api/v1/users/bulk-upload
@@ -1,7 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const { Vehicle, Service } = require('../models');
-const { protect, authorize, ErrorResponse } = require('../middleware');
+const { protect, authorize, ErrorResponse, uploadAttachments } = require('../middleware');
+const AttachmentService = require('./AttachmentService');
+const MaintenanceScheduleService = require('./MaintenanceScheduleService');
+const CustomerService = require('./CustomerService');
+const VehicleOwnershipService = require('./VehicleOwnershipService');
+const { decodeVin } = require('../utils/vinDecoder');
+
+/**
+ * Reject a malformed VIN, and a VIN or registration number already used by another vehicle
+ * @param {object} body - Vehicle request body
+ * @param {string} excludeId - Vehicle being updated
+ */
+const assertValidIdentifiers = async (body, excludeId) => {
+  const conditions = [];
+  let vin;
+
+  if (body.vin) {
+    const decoded = decodeVin(body.vin);
+    if (!decoded.valid) {
+      throw new ErrorResponse(decoded.errors.join('; '), 400);
+    }
+    vin = decoded.vin;
+    conditions.push({ vin });
+  }
+
+  if (body.registrationNumber) {
+    conditions.push({ registrationNumber: body.registrationNumber.toString().trim().toUpperCase() });
+  }
+
+  if (conditions.length === 0) return;
+
+  const query = { $or: conditions };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const existing = await Vehicle.findOne(query).select('registrationNumber vin');
+  if (existing) {
+    const field = vin && existing.vin === vin
+      ? `VIN ${vin}`
+      : `registration number ${existing.registrationNumber}`;
+    throw new ErrorResponse(`A vehicle with ${field} already exists (${existing._id})`, 400);
+  }
+};
 
 // @desc    Get all vehicles
 // @route   GET /api/v1/vehicles
@@ -26,6 +69,11 @@ router.get('/', protect, async (req, res, next) => {
       ];
     }
 
+    // Filter by customer
+    if (req.query.customer) {
+      query.customer = req.query.customer;
+    }
+
     // Filter by branch
     if (req.query.branch) {
       query.branch = req.query.branch;
@@ -75,6 +123,49 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Get vehicles overdue or due soon for maintenance
+// @route   GET /api/v1/vehicles/due-for-service?branch=&days=30&km=1000
+// @access  Private
+router.get('/due-for-service', protect, async (req, res, next) => {
+  try {
+    // Non-admins only see their own branch
+    const branch = req.user.role === 'admin' ? req.query.branch : req.user.branch;
+
+    const due = await MaintenanceScheduleService.getDueForService(branch, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: due.overdue.length + due.upcoming.length,
+      data: due
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Validate and decode a VIN
+// @route   GET /api/v1/vehicles/decode-vin/:vin
+// @access  Private
+router.get('/decode-vin/:vin', protect, async (req, res, next) => {
+  try {
+    const decoded = decodeVin(req.params.vin);
+
+    const existing = decoded.valid
+      ? await Vehicle.findOne({ vin: decoded.vin }).select('registrationNumber')
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...decoded,
+        existingVehicle: existing
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get single vehicle
 // @route   GET /api/v1/vehicles/:id
 // @access  Private
@@ -111,10 +202,17 @@ router.post('/', protect, async (req, res, next) => {
       req.body.branch = req.user.branch;
     }
 
+    await assertValidIdentifiers(req.body);
+
+    // Link an existing customer, or match/create one from the owner details
+    await CustomerService.resolveForVehicle(req.body);
+
+    // Make and year are pre-filled from the VIN when left out
     const vehicle = await Vehicle.create(req.body);
 
     res.status(201).json({
       success: true,
+      warnings: vehicle.vinDetails ? vehicle.vinDetails.mismatches : [],
       data: vehicle
     });
   } catch (error) {
@@ -138,13 +236,35 @@ router.put('/:id', protect, async (req, res, next) => {
       return next(new ErrorResponse('Not authorized to update this vehicle', 403));
     }
     console.log("req.body : ", req.body)
-    vehicle = await Vehicle.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+
+    // Contact details belong to the customer; edit them there so every vehicle stays in sync
+    if (req.body.owner && vehicle.customer) {
+      return next(new ErrorResponse('Update owner details through the customer record', 400));
+    }
+
+    // A change of owner is a sale and keeps history
+    if (req.body.customer && vehicle.customer && req.body.customer.toString() !== vehicle.customer.toString()) {
+      return next(new ErrorResponse('Use the ownership transfer endpoint to change the owner of a vehicle', 400));
+    }
+    delete req.body.ownershipTransfers;
+
+    // Attachments are uploaded and deleted through their own endpoints
+    delete req.body.attachments;
+
+    if (req.body.customer || req.body.owner) {
+      await CustomerService.resolveForVehicle(req.body);
+    }
+
+    await assertValidIdentifiers(req.body, vehicle._id);
+
+    // Saved through the document so the VIN is decoded again
+    const { vinDetails, ...updates } = req.body;
+    vehicle.set(updates);
+    await vehicle.save();
 
     res.status(200).json({
       success: true,
+      warnings: vehicle.vinDetails ? vehicle.vinDetails.mismatches : [],
       data: vehicle
     });
   } catch (error) {
@@ -173,7 +293,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
       return next(new ErrorResponse('Cannot delete vehicle with active services', 400));
     }
 
-    await vehicle.remove();
+    await vehicle.deleteOne();
+    await AttachmentService.removeAll(vehicle);
 
     res.status(200).json({
       success: true,
@@ -202,7 +323,134 @@ router.get('/:id/services', protect, async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: services.length,
-      data: services
+      data: VehicleOwnershipService.withOwnerAt(vehicle, services, 'startDate', 'ownerAtService')
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Transfer vehicle to a new owner
+// @route   POST /api/v1/vehicles/:id/transfer
+// @access  Private
+router.post('/:id/transfer', protect, async (req, res, next) => {
+  try {
+    let vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user is admin or from the same branch
+    if (req.user.role !== 'admin' && vehicle.branch.toString() !== req.user.branch.toString()) {
+      return next(new ErrorResponse('Not authorized to update this vehicle', 403));
+    }
+
+    vehicle = await VehicleOwnershipService.transfer(vehicle, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: vehicle
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get vehicle ownership history
+// @route   GET /api/v1/vehicles/:id/ownership-history
+// @access  Private
+router.get('/:id/ownership-history', protect, async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id)
+      .select('registrationNumber customer owner ownershipTransfers')
+      .populate('customer', 'name phone email')
+      .populate('ownershipTransfers.previousCustomer', 'name')
+      .populate('ownershipTransfers.newCustomer', 'name')
+      .populate('ownershipTransfers.recordedBy', 'firstName lastName');
+
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: vehicle.ownershipTransfers.length,
+      data: {
+        currentOwner: vehicle.customer || vehicle.owner,
+        transfers: vehicle.ownershipTransfers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Upload vehicle attachments (multipart, field "files")
+// @route   POST /api/v1/vehicles/:id/attachments
+// @access  Private
+router.post('/:id/attachments', protect, uploadAttachments, async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.params.id}`, 404));
+    }
+
+    AttachmentService.assertAccess(vehicle, req.user, 'vehicle');
+
+    const attachments = await AttachmentService.add(vehicle, 'vehicles', req.files, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download vehicle attachment (?thumbnail=true for the image preview)
+// @route   GET /api/v1/vehicles/:id/attachments/:attachmentId
+// @access  Private
+router.get('/:id/attachments/:attachmentId', protect, async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.params.id}`, 404));
+    }
+
+    AttachmentService.assertAccess(vehicle, req.user, 'vehicle');
+
+    const attachment = AttachmentService.getAttachment(vehicle, req.params.attachmentId);
+    const file = await AttachmentService.open(attachment, req.query.thumbnail === 'true');
+
+    AttachmentService.send(res, file, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete vehicle attachment
+// @route   DELETE /api/v1/vehicles/:id/attachments/:attachmentId
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', protect, async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return next(new ErrorResponse(`Vehicle not found with id of ${req.params.id}`, 404));
+    }
+
+    AttachmentService.assertAccess(vehicle, req.user, 'vehicle');
+
+    await AttachmentService.remove(vehicle, req.params.attachmentId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {}
     });
   } catch (error) {
     next(error);
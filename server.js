@@ -4,6 +4,8 @@ const cors = require('cors')
 const dotenv = require('dotenv')
 const routes = require('./routes')
 const { errorHandler } = require('./middleware')
+const ComplaintSlaService = require('./routes/ComplaintSlaService')
+const MigrationService = require('./routes/MigrationService')
 
 
 // Load environment variables
@@ -35,14 +37,21 @@ app.use(errorHandler)
 // Connect to MongoDB
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('MongoDB Connected...')
+
+    // Bring data and indexes from earlier releases up to date before serving requests
+    const migrations = await MigrationService.run()
+    console.log('Migrations complete:', JSON.stringify(migrations))
     
     // Start server
     const PORT = process.env.PORT || 5000
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`)
     })
+
+    // Escalate complaints that miss their SLA to the branch manager
+    ComplaintSlaService.startEscalationJob(Number(process.env.SLA_CHECK_INTERVAL_MINUTES) || 15)
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err.message)
@@ -0,0 +1,96 @@
+//utils/fileStorage.js
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends by name. A backend stores files under keys like
+// "complaints/<id>/<uuid>.jpg" and implements save, createReadStream, remove.
+const backends = {};
+
+/**
+ * Local disk backend; files live under a root directory
+ * @param {object} options - { root }
+ * @returns {object} - Storage backend
+ */
+function createLocalStorage(options = {}) {
+  const root = path.resolve(options.root || process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+  // Keys are generated by the server, but never let one point outside the root
+  const resolve = key => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Make a storage backend available by name (e.g. an object store)
+ * @param {string} name - Backend name, as used in FILE_STORAGE
+ * @param {Function} factory - (options) => backend
+ */
+function registerStorage(name, factory) {
+  backends[name] = factory;
+}
+
+let current = null;
+
+/**
+ * Storage backend selected by FILE_STORAGE (local disk by default)
+ * @returns {object} - Storage backend
+ */
+function getStorage() {
+  if (!current) {
+    const name = process.env.FILE_STORAGE || 'local';
+    if (!backends[name]) {
+      throw new Error(`Unknown file storage backend ${name}`);
+    }
+    current = backends[name]();
+  }
+  return current;
+}
+
+/**
+ * Replace the storage backend in use
+ * @param {object} backend - Storage backend
+ */
+function setStorage(backend) {
+  current = backend;
+}
+
+registerStorage('local', createLocalStorage);
+
+module.exports = {
+  createLocalStorage,
+  registerStorage,
+  getStorage,
+  setStorage
+};
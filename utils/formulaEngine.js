@@ -0,0 +1,176 @@
+//utils/formulaEngine.js
+const { create, all } = require('mathjs');
+const { ErrorResponse } = require('../middleware/error');
+
+const math = create(all);
+
+// Metrics supplied by IncentiveCalculationService, with sample values for dry evaluations
+const BUILT_IN_VARIABLES = {
+  baseSalary: 30000,
+  baseIncentiveRate: 10,
+  totalCreditPoints: 100,
+  completedServices: 20,
+  targetAchievementPercentage: 100,
+  targetCreditPoints: 100,
+  targetCompletedServices: 20
+};
+
+const ALLOWED_FUNCTIONS = ['min', 'max', 'abs', 'round', 'floor', 'ceil', 'sqrt', 'pow', 'log', 'exp'];
+
+const ALLOWED_CONSTANTS = ['pi', 'e'];
+
+const ALLOWED_OPERATORS = [
+  '+', '-', '*', '/', '^', '%', 'mod',
+  '<', '>', '<=', '>=', '==', '!=',
+  'and', 'or', 'not'
+];
+
+const ALLOWED_NODE_TYPES = [
+  'ConstantNode',
+  'SymbolNode',
+  'OperatorNode',
+  'ParenthesisNode',
+  'ConditionalNode',
+  'FunctionNode'
+];
+
+class FormulaError extends ErrorResponse {
+  constructor(message) {
+    super(message, 400);
+    this.name = 'FormulaError';
+  }
+}
+
+/**
+ * Parse a formula and reject anything outside the arithmetic subset
+ * (assignments, function definitions, property access, strings, units, ...)
+ * @param {string} formula - Formula source
+ * @returns {object} - mathjs expression tree
+ */
+function parseFormula(formula) {
+  if (typeof formula !== 'string' || formula.trim() === '') {
+    throw new FormulaError('Formula is empty');
+  }
+
+  let node;
+  try {
+    node = math.parse(formula);
+  } catch (error) {
+    throw new FormulaError(`Formula syntax error: ${error.message}`);
+  }
+
+  node.traverse(child => {
+    if (!ALLOWED_NODE_TYPES.includes(child.type)) {
+      throw new FormulaError(`Unsupported expression in formula: ${child.toString()}`);
+    }
+
+    if (child.type === 'ConstantNode' && typeof child.value !== 'number') {
+      throw new FormulaError(`Only numeric constants are allowed in formulas: ${child.toString()}`);
+    }
+
+    if (child.type === 'OperatorNode' && !ALLOWED_OPERATORS.includes(child.op)) {
+      throw new FormulaError(`Operator "${child.op}" is not allowed in formulas`);
+    }
+
+    if (child.type === 'FunctionNode') {
+      if (child.fn.type !== 'SymbolNode' || !ALLOWED_FUNCTIONS.includes(child.fn.name)) {
+        throw new FormulaError(`Function "${child.fn.toString()}" is not allowed in formulas`);
+      }
+    }
+  });
+
+  return node;
+}
+
+/**
+ * List the variable names a formula refers to (function names and constants excluded)
+ * @param {object} node - Parsed expression tree
+ * @returns {Array<string>} - Unique identifiers
+ */
+function getIdentifiers(node) {
+  const identifiers = new Set();
+
+  node.traverse((child, path, parent) => {
+    if (child.type !== 'SymbolNode') return;
+    if (parent && parent.type === 'FunctionNode' && path === 'fn') return;
+    if (ALLOWED_CONSTANTS.includes(child.name)) return;
+    identifiers.add(child.name);
+  });
+
+  return [...identifiers];
+}
+
+/**
+ * Validate a formula against the variables it may use
+ * @param {string} formula - Formula source
+ * @param {Array<string>} variableNames - Policy variable names (built-in metrics are always allowed)
+ * @returns {object} - { valid, errors, identifiers, unknownIdentifiers }
+ */
+function validateFormula(formula, variableNames = []) {
+  const known = new Set([...Object.keys(BUILT_IN_VARIABLES), ...variableNames]);
+
+  let node;
+  try {
+    node = parseFormula(formula);
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [error.message],
+      identifiers: [],
+      unknownIdentifiers: []
+    };
+  }
+
+  const identifiers = getIdentifiers(node);
+  const unknownIdentifiers = identifiers.filter(name => !known.has(name));
+  const errors = unknownIdentifiers.map(name => `Unknown identifier "${name}"`);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    identifiers,
+    unknownIdentifiers
+  };
+}
+
+/**
+ * Evaluate a formula with the given variable values
+ * @param {string} formula - Formula source
+ * @param {object} scope - Variable values
+ * @returns {number} - Result of the formula
+ */
+function evaluateFormula(formula, scope = {}) {
+  const node = parseFormula(formula);
+
+  const missing = getIdentifiers(node).filter(name => !Object.prototype.hasOwnProperty.call(scope, name));
+  if (missing.length > 0) {
+    throw new FormulaError(`No value provided for ${missing.join(', ')}`);
+  }
+
+  // Only plain numbers make it into the evaluation scope
+  const values = new Map();
+  Object.entries(scope).forEach(([name, value]) => {
+    values.set(name, Number(value));
+  });
+
+  let result = node.compile().evaluate(values);
+  if (typeof result === 'boolean') {
+    result = result ? 1 : 0;
+  }
+
+  if (typeof result !== 'number' || !Number.isFinite(result)) {
+    throw new FormulaError('Formula did not evaluate to a finite number');
+  }
+
+  return result;
+}
+
+module.exports = {
+  BUILT_IN_VARIABLES,
+  ALLOWED_FUNCTIONS,
+  FormulaError,
+  parseFormula,
+  getIdentifiers,
+  validateFormula,
+  evaluateFormula
+};
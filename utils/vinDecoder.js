@@ -0,0 +1,193 @@
+//utils/vinDecoder.js
+
+// ISO 3779 VINs are 17 characters; I, O and Q are never used
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// North American check digit (position 9): letter values and position weights
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Model year codes (position 10) repeat every 30 years from 1980
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+// World manufacturer identifiers (positions 1-3)
+const WMI_MANUFACTURERS = {
+  // North America
+  '1FA': 'Ford', '1FB': 'Ford', '1FC': 'Ford', '1FD': 'Ford', '1FM': 'Ford', '1FT': 'Ford',
+  '2FA': 'Ford', '2FM': 'Ford', '2FT': 'Ford', '3FA': 'Ford', '3FE': 'Ford', '1LN': 'Lincoln',
+  '1G1': 'Chevrolet', '1GC': 'Chevrolet', '1GN': 'Chevrolet', '2G1': 'Chevrolet', '3G1': 'Chevrolet',
+  '1G4': 'Buick', '1G6': 'Cadillac', '1GY': 'Cadillac', '1GT': 'GMC', '1GK': 'GMC',
+  '1C3': 'Chrysler', '2C3': 'Chrysler', '1C4': 'Jeep', '1J4': 'Jeep', '1C6': 'Ram', '3C6': 'Ram',
+  '1B3': 'Dodge', '2B3': 'Dodge', '1D7': 'Dodge', '2D3': 'Dodge',
+  '1HG': 'Honda', '2HG': 'Honda', '5FN': 'Honda', '5J6': 'Honda', '19U': 'Acura', '19X': 'Honda',
+  '1N4': 'Nissan', '1N6': 'Nissan', '3N1': 'Nissan', '5N1': 'Nissan',
+  '4T1': 'Toyota', '4T3': 'Toyota', '5TD': 'Toyota', '5TF': 'Toyota', '2T1': 'Toyota', '2T2': 'Lexus',
+  '4S3': 'Subaru', '4S4': 'Subaru', '5NP': 'Hyundai', '5XY': 'Kia', '5YJ': 'Tesla', '7SA': 'Tesla',
+  '5UX': 'BMW', '4JG': 'Mercedes-Benz', '55S': 'Mercedes-Benz', '1VW': 'Volkswagen', '3VW': 'Volkswagen',
+  '1HD': 'Harley-Davidson',
+  // Asia
+  'JHM': 'Honda', 'JH2': 'Honda', 'JHL': 'Honda', 'JH4': 'Acura',
+  'JN1': 'Nissan', 'JN8': 'Nissan', 'JNK': 'Infiniti',
+  'JT2': 'Toyota', 'JTD': 'Toyota', 'JTE': 'Toyota', 'JTM': 'Toyota', 'JTN': 'Toyota', 'JTH': 'Lexus',
+  'JM1': 'Mazda', 'JM3': 'Mazda', 'JF1': 'Subaru', 'JF2': 'Subaru',
+  'JA3': 'Mitsubishi', 'JA4': 'Mitsubishi', 'JMB': 'Mitsubishi',
+  'JS1': 'Suzuki', 'JS2': 'Suzuki', 'JS3': 'Suzuki', 'JYA': 'Yamaha', 'JKA': 'Kawasaki',
+  'KMH': 'Hyundai', 'KM8': 'Hyundai', 'KNA': 'Kia', 'KND': 'Kia', 'KNM': 'Renault Samsung',
+  'MA1': 'Mahindra', 'MA3': 'Maruti Suzuki', 'MAT': 'Tata', 'MAL': 'Hyundai', 'MAK': 'Honda',
+  'MBJ': 'Toyota', 'MBH': 'Suzuki', 'MBL': 'Hero', 'MD2': 'Bajaj', 'MD6': 'TVS', 'ME3': 'Royal Enfield',
+  'ME4': 'Honda', 'MEE': 'Renault', 'MZB': 'Kia',
+  'LSV': 'Volkswagen', 'LFV': 'Volkswagen', 'LVS': 'Ford', 'LBV': 'BMW', 'LRW': 'Tesla',
+  // Europe
+  'WBA': 'BMW', 'WBS': 'BMW', 'WBY': 'BMW', 'WMW': 'MINI',
+  'WDB': 'Mercedes-Benz', 'WDC': 'Mercedes-Benz', 'WDD': 'Mercedes-Benz', 'W1K': 'Mercedes-Benz', 'W1N': 'Mercedes-Benz',
+  'WVW': 'Volkswagen', 'WV1': 'Volkswagen', 'WV2': 'Volkswagen', 'WVG': 'Volkswagen',
+  'WAU': 'Audi', 'WA1': 'Audi', 'TRU': 'Audi', 'WP0': 'Porsche', 'WP1': 'Porsche',
+  'WF0': 'Ford', 'W0L': 'Opel', 'TMB': 'Skoda', 'VSS': 'SEAT',
+  'VF1': 'Renault', 'VF3': 'Peugeot', 'VF7': 'Citroen', 'VR3': 'Peugeot',
+  'ZFA': 'Fiat', 'ZFF': 'Ferrari', 'ZAR': 'Alfa Romeo', 'ZHW': 'Lamborghini', 'ZAM': 'Maserati',
+  'YV1': 'Volvo', 'YV4': 'Volvo', 'YS3': 'Saab',
+  'SAL': 'Land Rover', 'SAJ': 'Jaguar', 'SCC': 'Lotus', 'SCF': 'Aston Martin', 'SJN': 'Nissan'
+};
+
+/**
+ * Region of manufacture from the first VIN character
+ * @param {string} code - First character
+ * @returns {string} - Region name
+ */
+function getRegion(code) {
+  if (/[A-H]/.test(code)) return 'Africa';
+  if (/[J-R]/.test(code)) return 'Asia';
+  if (/[S-Z]/.test(code)) return 'Europe';
+  if (/[1-5]/.test(code)) return 'North America';
+  if (/[6-7]/.test(code)) return 'Oceania';
+  return 'South America';
+}
+
+/**
+ * Expected check digit (position 9) for a VIN
+ * @param {string} vin - 17-character VIN
+ * @returns {string} - "0"-"9" or "X"
+ */
+function calculateCheckDigit(vin) {
+  const sum = vin.split('').reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * WEIGHTS[index];
+  }, 0);
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Model year from the year code. North American VINs use position 7 to tell the
+ * 30-year cycles apart (digit: 1980-2009, letter: 2010-2039); elsewhere the latest
+ * year not after next year is used.
+ * @param {string} vin - 17-character VIN
+ * @param {boolean} northAmerican - Whether the VIN follows the North American rules
+ * @returns {number|null} - Model year
+ */
+function decodeModelYear(vin, northAmerican) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  const firstCycle = 1980 + index;
+
+  if (northAmerican) {
+    return /\d/.test(vin[6]) ? firstCycle : firstCycle + 30;
+  }
+
+  const latest = new Date().getFullYear() + 1;
+  let year = firstCycle;
+  while (year + 30 <= latest) {
+    year += 30;
+  }
+  return year;
+}
+
+/**
+ * Validate and decode a VIN without any external lookup
+ * @param {string} value - VIN as entered
+ * @returns {object} - { vin, valid, errors, wmi, manufacturer, region, modelYear, plantCode, serialNumber, checkDigit }
+ */
+function decodeVin(value) {
+  const vin = (value || '').toString().trim().toUpperCase();
+  const errors = [];
+
+  if (vin.length !== 17) {
+    errors.push('VIN must be 17 characters');
+  } else if (!VIN_PATTERN.test(vin)) {
+    errors.push('VIN may only contain digits and the letters A-Z except I, O and Q');
+  }
+
+  if (errors.length > 0) {
+    return { vin, valid: false, errors };
+  }
+
+  const wmi = vin.slice(0, 3);
+  const region = getRegion(vin[0]);
+  const northAmerican = region === 'North America';
+
+  // The check digit is mandatory for North American VINs and optional elsewhere
+  const expected = calculateCheckDigit(vin);
+  const checkDigit = {
+    actual: vin[8],
+    expected,
+    valid: vin[8] === expected,
+    required: northAmerican
+  };
+
+  if (checkDigit.required && !checkDigit.valid) {
+    errors.push(`VIN check digit is ${checkDigit.actual} but should be ${expected}`);
+  }
+
+  return {
+    vin,
+    valid: errors.length === 0,
+    errors,
+    wmi,
+    manufacturer: WMI_MANUFACTURERS[wmi] || null,
+    region,
+    modelYear: decodeModelYear(vin, northAmerican),
+    plantCode: vin[10],
+    serialNumber: vin.slice(11),
+    checkDigit
+  };
+}
+
+/**
+ * Compare decoded VIN details with what was entered for the vehicle
+ * @param {object} decoded - Result of decodeVin
+ * @param {object} vehicle - { make, year }
+ * @returns {Array<string>} - Mismatch descriptions
+ */
+function findMismatches(decoded, vehicle = {}) {
+  const mismatches = [];
+  const simplify = text => (text || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  if (decoded.manufacturer && vehicle.make) {
+    const decodedMake = simplify(decoded.manufacturer);
+    const enteredMake = simplify(vehicle.make);
+
+    if (!decodedMake.startsWith(enteredMake) && !enteredMake.startsWith(decodedMake)) {
+      mismatches.push(`Make ${vehicle.make} does not match ${decoded.manufacturer} from the VIN`);
+    }
+  }
+
+  if (decoded.modelYear && vehicle.year && Number(vehicle.year) !== decoded.modelYear) {
+    mismatches.push(`Year ${vehicle.year} does not match model year ${decoded.modelYear} from the VIN`);
+  }
+
+  return mismatches;
+}
+
+module.exports = {
+  WMI_MANUFACTURERS,
+  calculateCheckDigit,
+  decodeVin,
+  findMismatches
+};